@@ -1,29 +1,137 @@
 /**
- * CookieStorage: A utility class for managing browser cookies.
+ * CookieStorage: A utility class for managing cookies in the browser and on the server.
  * 
  * This class provides methods to set, get, delete, and check the existence of cookies.
  * It also supports default options for cookie configurations and verifies cookie support in the browser.
+ * Cookies are read and written through an adapter: `document.cookie` in the browser by default, or the
+ * `Cookie` and `Set-Cookie` headers of a request and response on the server (see `serverAdapter`).
+ * Values can be strings, numbers, booleans, dates or, through `setJSON`, any JSON-serializable value.
+ * Values too large for a single cookie can be split across several with the `chunk` option.
  * @class
  * @author Raul Valverde Leal
  * @example
  * const storage = new CookieStorage({sameSite: 'Strict'});
  * storage.setCookie('username', 'JohnDoe', { expires: '2025-01-01', secure: true });
+ * storage.setJSON('preferences', { theme: 'dark', columns: 3 }, { maxAge: 60 * 60 * 24 * 365 });
+ * storage.getJSON('preferences'); // Output: { theme: 'dark', columns: 3 }
+ *
+ * // Tamper-proof cookies
+ * const secure = new CookieStorage({}, { secrets: [process.env.COOKIE_SECRET, process.env.OLD_COOKIE_SECRET] });
+ * await secure.setSigned('cart', { items: [12, 31] }, { maxAge: 3600 });
+ * const { value, reason } = await secure.getSigned('cart'); // reason is set when value is undefined
+ *
+ * // Consent
+ * storage.register('_ga*', { category: 'analytics', purpose: 'Google Analytics visitor id', lifetime: 63072000 });
+ * storage.setCookie('_ga', id); // dropped until analytics is granted
+ * storage.grantConsent('analytics');
+ * storage.onChange('theme', (value, previous) => applyTheme(value));
+ *
+ * // Express
+ * app.use(CookieStorage.middleware({ sameSite: 'Lax' }));
+ * app.get('/', (req, res) => {
+ *     req.cookieStorage.setCookie('session', id, { httpOnly: true, maxAge: 3600 });
+ * });
  */
 class CookieStorage {
 
     /**
      * @typedef {Object} SetCookieOptions
      * @property {Date | number | string} [expires] - A Date instance will be created from this value.
+     * @property {number} [maxAge] - Lifetime in seconds. Takes precedence over `expires` in browsers.
      * @property {string} [path] - The path for the cookie. Defaults to '/' if not provided.
+     * @property {string} [domain] - The domain the cookie is sent to, including its subdomains.
      * @property {boolean} [secure] - Whether the cookie is secure (sent only over HTTPS).
      * @property {"Strict" | "Lax" | "None"} [sameSite] - The SameSite attribute for the cookie.
+     * @property {boolean} [partitioned] - Stores the cookie in partitioned storage (CHIPS). Requires `secure`.
+     * @property {boolean} [httpOnly] - Hides the cookie from client scripts. Only the server can set it; in
+     * the browser, only a warning is logged.
+     * @property {boolean} [chunk] - Splits values exceeding `maxSize` across several cookies instead of throwing.
      */
 
+    /**
+     * Where cookies are read from and written to.
+     * @typedef {Object} CookieAdapter
+     * @property {() => string} read - Returns the cookies in `Cookie` header format: "a=1; b=2".
+     * @property {(cookie: string) => void} write - Stores a cookie given in `Set-Cookie` header format.
+     * @property {() => boolean} isEnabled - Whether cookies can be stored.
+     * @property {boolean} server - Whether it runs on the server, where HttpOnly cookies can be set.
+     */
+
+    /**
+     * Result of reading a signed or encrypted cookie.
+     * @typedef {Object} VerifiedCookie
+     * @property {any} value - The stored value, or undefined if it could not be read.
+     * @property {'missing'|'malformed'|'invalid'|'expired'} [reason] - Why the value is undefined: there is no
+     * such cookie, it is not in the expected format, its signature or encryption does not match any secret
+     * (it was tampered with, or written with a retired secret), or its embedded expiry has passed.
+     */
+
+    /**
+     * @typedef {'essential'|'functional'|'analytics'|'marketing'} CookieCategory
+     */
+
+    /**
+     * @typedef {Object} CookieDefinition
+     * @property {CookieCategory} category - What the cookie is used for. Essential cookies need no consent.
+     * @property {string} [purpose] - Human-readable description, listed in the inventory.
+     * @property {number} [lifetime] - Lifetime in seconds, used as `maxAge` unless the write sets its own.
+     * @property {string} [path] - The path the cookie is set with, used when writing and purging it.
+     * @property {string} [domain] - The domain the cookie is set with, used when writing and purging it.
+     */
+
+    /**
+     * @typedef {CookieDefinition & {name: string, consented: boolean, present: string[]}} CookieInventoryEntry
+     */
+
+    /**
+     * Consent categories, in the order they are listed.
+     * @private
+     */
+    static #CATEGORIES = ['essential', 'functional', 'analytics', 'marketing'];
+
+    /**
+     * Characters allowed in cookie names: a "token" as defined by RFC 6265 and RFC 7230.
+     * @private
+     */
+    static #NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+    /**
+     * Suffix of the cookie holding the number of chunks of a chunked cookie. Chunks are named `key__0`, `key__1`...
+     * @private
+     */
+    static #CHUNKS_SUFFIX = '__chunks';
+
+    #secrets;
+    #keys;
+    #registry;
+    #consent;
+    #strict;
+    #blocked;
+    #queue;
+    #listeners;
+    #snapshot;
+    #pollInterval;
+    #stopWatching;
+
     /**
      * Creates an instance of CookieStorage with default options.
      * @param {SetCookieOptions} [defaultOptions={}] - The default options to use for all cookies.
+     * @param {Object} [settings={}] - Storage settings.
+     * @param {number} [settings.maxSize=4096] - Maximum size in bytes of the name and value of one cookie.
+     * Browsers guarantee at least 4096.
+     * @param {CookieAdapter} [settings.adapter] - Where cookies are stored. Defaults to `document.cookie`.
+     * @param {Array<string|Uint8Array>} [settings.secrets] - Secrets for signed and encrypted cookies. The first
+     * one signs and encrypts; all of them are tried when reading, so secrets can be rotated by prepending a
+     * new one and removing the oldest once its cookies have expired.
+     * @param {CookieCategory[]} [settings.consent=[]] - Categories the user has already consented to.
+     * @param {boolean} [settings.strict=false] - Blocks cookies that were not registered, instead of treating
+     * them as essential.
+     * @param {'drop'|'queue'} [settings.blocked='drop'] - What to do with writes blocked for lack of consent:
+     * drop them, or keep them and write them if consent is granted later.
+     * @param {number} [settings.pollInterval=1000] - How often, in milliseconds, `onChange` checks for changes
+     * where the Cookie Store API is not available.
      */
-    constructor(defaultOptions = {}) {
+    constructor(defaultOptions = {}, { maxSize = 4096, adapter, secrets = [], consent = [], strict = false, blocked = 'drop', pollInterval = 1000 } = {}) {
 
         if (typeof defaultOptions !== 'object' || Array.isArray(defaultOptions)) {
             throw new Error(`Invalid defaultOptions: ${defaultOptions}`)
@@ -31,50 +139,282 @@ class CookieStorage {
 
         /**@type {SetCookieOptions} */
         this.defaultOptions = {path: '/', secure: true, ...defaultOptions};
+        this.maxSize = maxSize;
+        /**@type {CookieAdapter} */
+        this.adapter = adapter || CookieStorage.browserAdapter();
+        this.#secrets = secrets;
+        this.#keys = new Map();
+        this.#registry = new Map();
+        this.#consent = new Set(['essential', ...consent]);
+        this.#strict = strict;
+        this.#blocked = blocked;
+        this.#queue = [];
+        this.#listeners = new Map();
+        this.#snapshot = new Map();
+        this.#pollInterval = pollInterval;
+        this.#stopWatching = null;
+    }
+
+    /**
+     * Creates an adapter storing cookies in `document.cookie`.
+     * @returns {CookieAdapter} The browser adapter.
+     */
+    static browserAdapter() {
+        return {
+            read: () => document.cookie,
+            write: cookie => { document.cookie = cookie; },
+            isEnabled: () => typeof navigator !== 'undefined' && navigator.cookieEnabled,
+            server: false,
+        };
+    }
+
+    /**
+     * Creates an adapter reading the `Cookie` header of a request and appending `Set-Cookie` headers to a
+     * response. Works with Node's `http` module and Express. Cookies set or deleted through the adapter
+     * are visible to later reads, so a request sees its own changes.
+     * Without a response, the emitted headers are only collected in the `headers` property of the adapter,
+     * which is handy for SSR and tests.
+     * @param {{headers: Object<string, string|string[]>}} request - The incoming request.
+     * @param {{getHeader: Function, setHeader: Function}} [response] - The outgoing response.
+     * @returns {CookieAdapter & {headers: string[]}} The server adapter.
+     * @example
+     * http.createServer((req, res) => {
+     *     const storage = new CookieStorage({}, { adapter: CookieStorage.serverAdapter(req, res) });
+     *     storage.setCookie('seen', true, { httpOnly: true });
+     *     res.end();
+     * });
+     */
+    static serverAdapter(request, response) {
+        const header = request?.headers?.cookie;
+        const jar = new Map();
+
+        for (const pair of (Array.isArray(header) ? header.join('; ') : header || '').split(/;\s*/)) {
+            const separator = pair.indexOf('=');
+            if (separator > 0 && !jar.has(pair.slice(0, separator).trim())) {
+                jar.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+            }
+        }
+
+        const headers = [];
+
+        return {
+            headers,
+            read: () => [...jar].map(([name, value]) => `${name}=${value}`).join('; '),
+            write: cookie => {
+                const [pair, ...attributes] = cookie.split('; ');
+                const separator = pair.indexOf('=');
+                const name = pair.slice(0, separator);
+                const expired = attributes.some(attribute => {
+                    const [key, value] = attribute.split('=');
+                    return (key === 'Max-Age' && Number(value) <= 0) || (key === 'Expires' && new Date(value) <= new Date());
+                });
+
+                if (expired) jar.delete(name);
+                else jar.set(name, pair.slice(separator + 1));
+
+                headers.push(cookie);
+                if (response) {
+                    const current = response.getHeader('Set-Cookie');
+                    response.setHeader('Set-Cookie', [...(current === undefined ? [] : [].concat(current)), cookie]);
+                }
+            },
+            isEnabled: () => true,
+            server: true,
+        };
+    }
+
+    /**
+     * Express middleware exposing a CookieStorage bound to the request and response as `req.cookieStorage`.
+     * @param {SetCookieOptions} [defaultOptions={}] - The default options to use for all cookies.
+     * @param {Object} [settings={}] - Storage settings, as in the constructor.
+     * @returns {(req: Object, res: Object, next: Function) => void} The middleware.
+     */
+    static middleware(defaultOptions = {}, settings = {}) {
+        return (req, res, next) => {
+            req.cookieStorage = new CookieStorage(defaultOptions, { ...settings, adapter: CookieStorage.serverAdapter(req, res) });
+            next();
+        };
     }
 
     /**
      * Sets a cookie with the specified key, value, and options.
+     * Numbers and booleans are stored as strings, dates as ISO strings.
      * @param {string} key - The name of the cookie.
-     * @param {string} value - The value of the cookie.
+     * @param {string | number | boolean | Date} value - The value of the cookie.
      * @param {SetCookieOptions} [options] - Options for the cookie, merged with the default options.
+     * @throws {RangeError} If the cookie exceeds `maxSize` and `chunk` is not enabled.
      * @example
      * const storage = new CookieStorage();
      * storage.setCookie('username', 'JohnDoe', { expires: '2025-01-01', secure: true });
+     * storage.setCookie('visits', 3, { maxAge: 3600 });
      */
     setCookie(key, value, options) {
-        if (typeof key !== 'string' || !key) throw new Error(`Invalid key: ${key}`);
+        this.#validateKey(key);
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) throw new Error(`Invalid value: ${value}`);
+            value = value.toISOString();
+        } else if (typeof value === 'number' || typeof value === 'boolean') {
+            if (!Number.isFinite(Number(value))) throw new Error(`Invalid value: ${value}`);
+            value = String(value);
+        }
         if (typeof value !== 'string' || !value) throw new Error(`Invalid value: ${value}`);
-        
-        options = { ...this.defaultOptions, ...options };
-        let cookieString = `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
 
-        if (options?.expires) {
-            const expirationDate = new Date(options.expires);
-            if (isNaN(expirationDate.getTime())) throw new Error(`Could not instance a Date object from ${options.expires}`);
-            cookieString += `; expires=${expirationDate.toUTCString()}`;
+        const definition = this.#getDefinition(key);
+        if (!this.#isAllowed(definition)) {
+            if (this.#blocked === 'queue') this.#queue.push({ key, value, options });
+            else console.warn(`Cookie "${key}" was not set: no consent for the ${definition?.category ?? 'unregistered'} category.`);
+            return;
         }
 
-        if (options?.path) {
-            if (typeof options.path !== 'string') throw new Error(`Invalid path: ${options.path}`);
-            cookieString += `; path=${options.path}`;
+        options = { ...this.defaultOptions, ...this.#getDefinitionOptions(definition), ...options };
+        const attributes = this.#serializeAttributes(options);
+
+        if (!this.adapter.isEnabled()) {
+            console.warn("Cookies are disabled in this browser.");
+            return;
         }
 
-        if (options?.secure) {
-            cookieString += '; secure';
+        const encodedValue = encodeURIComponent(value);
+        const chunkCount = Number(this.#readRaw()[CookieStorage.#chunkCountName(key)]) || 0;
+
+        if (this.#byteLength(`${key}=${encodedValue}`) <= this.maxSize) {
+            this.adapter.write(`${key}=${encodedValue}${attributes}`);
+            this.#deleteChunks(key, 0, chunkCount, options);
+            this.#checkChanges();
+            return;
         }
 
-        if (options?.sameSite) {
-            if (!['Lax', 'None', 'Strict'].includes(options.sameSite)) throw new Error(`Invalid SameSite ${options.sameSite}`);
-            cookieString += `; SameSite=${options.sameSite}`;
+        if (!options.chunk) {
+            throw new RangeError(`Cookie "${key}" exceeds ${this.maxSize} bytes; use the chunk option to split it`);
         }
 
-        if (!navigator.cookieEnabled) {
-            console.warn("Cookies are disabled in this browser.");
-            return;
+        // The chunk index never has more digits than the length of the value
+        const chunks = this.#split(encodedValue, this.maxSize - this.#byteLength(`${key}__${encodedValue.length}=`));
+        chunks.forEach((chunk, index) => this.adapter.write(`${key}__${index}=${chunk}${attributes}`));
+        this.adapter.write(`${CookieStorage.#chunkCountName(key)}=${chunks.length}${attributes}`);
+        this.#expire(key, options);
+        this.#deleteChunks(key, chunks.length, chunkCount, options);
+        this.#checkChanges();
+    }
+
+    /**
+     * Stores a value serialized as JSON.
+     * @param {string} key - The name of the cookie.
+     * @param {any} value - A JSON-serializable value.
+     * @param {SetCookieOptions} [options] - Options for the cookie, merged with the default options.
+     * @example
+     * storage.setJSON('cart', { items: [12, 31], coupon: null });
+     */
+    setJSON(key, value, options) {
+        const json = JSON.stringify(value);
+        if (json === undefined) throw new Error(`Invalid value: ${value}`);
+        this.setCookie(key, json, options);
+    }
+
+    /**
+     * Stores a value with an HMAC-SHA256 signature, so that changes made by the user are detected.
+     * The value is readable by anyone; use `setEncrypted` to hide it. The expiry given in the options is
+     * also embedded in the signed payload, so the value cannot outlive it even if the cookie does.
+     * @param {string} key - The name of the cookie. The signature covers it, so the value cannot be moved to another cookie.
+     * @param {any} value - A JSON-serializable value.
+     * @param {SetCookieOptions} [options] - Options for the cookie, merged with the default options.
+     * @returns {Promise<void>}
+     */
+    async setSigned(key, value, options) {
+        this.#validateKey(key);
+        const payload = this.#encodeBase64(new TextEncoder().encode(this.#createPayload(value, options)));
+        const { sign } = await this.#getKeys(this.#getSecrets()[0]);
+        const signature = await crypto.subtle.sign('HMAC', sign, new TextEncoder().encode(`${key}=${payload}`));
+        this.setCookie(key, `${payload}.${this.#encodeBase64(signature)}`, options);
+    }
+
+    /**
+     * Reads a cookie stored with `setSigned`, verifying its signature with each secret.
+     * @param {string} key - The name of the cookie.
+     * @returns {Promise<VerifiedCookie>} The value, or undefined and the reason it was rejected.
+     * @example
+     * const { value: cart, reason } = await storage.getSigned('cart');
+     * if (reason === 'invalid') storage.deleteCookie('cart');
+     */
+    async getSigned(key) {
+        const cookie = this.getCookie(key);
+        if (cookie === undefined) return { value: undefined, reason: 'missing' };
+
+        const [payload, signature, ...rest] = cookie.split('.');
+        if (!payload || !signature || rest.length) return { value: undefined, reason: 'malformed' };
+
+        let signatureBytes;
+        try {
+            signatureBytes = this.#decodeBase64(signature);
+        } catch {
+            return { value: undefined, reason: 'malformed' };
         }
 
-        document.cookie = cookieString;
+        for (const secret of this.#getSecrets()) {
+            const { sign } = await this.#getKeys(secret);
+            if (await crypto.subtle.verify('HMAC', sign, signatureBytes, new TextEncoder().encode(`${key}=${payload}`))) {
+                return this.#readPayload(() => new TextDecoder().decode(this.#decodeBase64(payload)));
+            }
+        }
+
+        return { value: undefined, reason: 'invalid' };
+    }
+
+    /**
+     * Stores a value encrypted with AES-GCM, so that it can be neither read nor changed by the user.
+     * As with `setSigned`, the expiry given in the options is embedded in the encrypted payload.
+     * @param {string} key - The name of the cookie. The encryption is bound to it, so the value cannot be moved to another cookie.
+     * @param {any} value - A JSON-serializable value.
+     * @param {SetCookieOptions} [options] - Options for the cookie, merged with the default options.
+     * @returns {Promise<void>}
+     */
+    async setEncrypted(key, value, options) {
+        this.#validateKey(key);
+        const { encrypt } = await this.#getKeys(this.#getSecrets()[0]);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(key) },
+            encrypt,
+            new TextEncoder().encode(this.#createPayload(value, options))
+        );
+        this.setCookie(key, `${this.#encodeBase64(iv)}.${this.#encodeBase64(ciphertext)}`, options);
+    }
+
+    /**
+     * Reads a cookie stored with `setEncrypted`, decrypting it with each secret.
+     * @param {string} key - The name of the cookie.
+     * @returns {Promise<VerifiedCookie>} The value, or undefined and the reason it was rejected.
+     */
+    async getEncrypted(key) {
+        const cookie = this.getCookie(key);
+        if (cookie === undefined) return { value: undefined, reason: 'missing' };
+
+        const [iv, ciphertext, ...rest] = cookie.split('.');
+        let ivBytes;
+        let ciphertextBytes;
+        try {
+            ivBytes = this.#decodeBase64(iv);
+            ciphertextBytes = this.#decodeBase64(ciphertext);
+        } catch {
+            return { value: undefined, reason: 'malformed' };
+        }
+        if (rest.length || ivBytes.length !== 12 || !ciphertextBytes.length) return { value: undefined, reason: 'malformed' };
+
+        for (const secret of this.#getSecrets()) {
+            const { encrypt } = await this.#getKeys(secret);
+            try {
+                const plaintext = await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: ivBytes, additionalData: new TextEncoder().encode(key) },
+                    encrypt,
+                    ciphertextBytes
+                );
+                return this.#readPayload(() => new TextDecoder().decode(plaintext));
+            } catch {
+                // Not encrypted with this secret, try the next one
+            }
+        }
+
+        return { value: undefined, reason: 'invalid' };
     }
 
     /**
@@ -86,12 +426,13 @@ class CookieStorage {
      * console.log(storage.hasCookie('username')); // Output: true or false
      */
     hasCookie(key) {
-        if (typeof key !== 'string' || !key) throw new Error(`Invalid key: ${key}`);
-        return Boolean(document.cookie.match(new RegExp(`(?:^|; )${encodeURIComponent(key)}=([^;]*)`)));
+        this.#validateKey(key);
+        const cookies = this.#readRaw();
+        return key in cookies || CookieStorage.#chunkCountName(key) in cookies;
     }
 
     /**
-     * Retrieves the value of a cookie by its key.
+     * Retrieves the value of a cookie by its key, joining its chunks if it was split.
      * @param {string} key - The name of the cookie.
      * @returns {string | undefined} The value of the cookie, or undefined if it does not exist.
      * @example
@@ -99,52 +440,598 @@ class CookieStorage {
      * console.log(storage.getCookie('username')); // Output: 'JohnDoe' or undefined
      */
     getCookie(key) {
-        if (typeof key !== 'string' || !key) throw new Error(`Invalid key: ${key}`);
-        const match = document.cookie.match(new RegExp(`(?:^|; )${encodeURIComponent(key)}=([^;]*)`));
-        return match ? decodeURIComponent(match[1]) : undefined;
+        this.#validateKey(key);
+        return this.#readValue(this.#readRaw(), key);
+    }
+
+    /**
+     * Retrieves a cookie stored with `setJSON`.
+     * @param {string} key - The name of the cookie.
+     * @returns {any} The parsed value, or undefined if the cookie does not exist or is not valid JSON.
+     */
+    getJSON(key) {
+        const value = this.getCookie(key);
+        if (value === undefined) return undefined;
+        try {
+            return JSON.parse(value);
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Retrieves a cookie as a number.
+     * @param {string} key - The name of the cookie.
+     * @returns {number | undefined} The number, or undefined if the cookie does not exist or is not numeric.
+     */
+    getNumber(key) {
+        const value = this.getCookie(key);
+        const number = value === undefined || value.trim() === '' ? NaN : Number(value);
+        return Number.isNaN(number) ? undefined : number;
+    }
+
+    /**
+     * Retrieves a cookie as a boolean. 'true' and '1' are true, 'false' and '0' are false.
+     * @param {string} key - The name of the cookie.
+     * @returns {boolean | undefined} The boolean, or undefined if the cookie does not exist or is not a boolean.
+     */
+    getBoolean(key) {
+        const value = this.getCookie(key);
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+        return undefined;
     }
 
     /**
-     * Deletes a cookie by its key.
+     * Retrieves a cookie as a date.
+     * @param {string} key - The name of the cookie.
+     * @returns {Date | undefined} The date, or undefined if the cookie does not exist or is not a valid date.
+     */
+    getDate(key) {
+        const value = this.getCookie(key);
+        const date = value === undefined ? null : new Date(/^-?\d+$/.test(value) ? Number(value) : value);
+        return date && !isNaN(date.getTime()) ? date : undefined;
+    }
+
+    /**
+     * Deletes a cookie by its key, including its chunks if it was split.
+     * The path and domain must match the ones the cookie was set with.
      * @param {string} key - The name of the cookie to delete.
-     * @param {string} [path='/'] - The path of the cookie to delete.
+     * @param {string | SetCookieOptions} [path='/'] - The path of the cookie to delete, or its options.
      * @example
      * const storage = new CookieStorage();
      * storage.deleteCookie('username'); // Deletes the 'username' cookie
+     * storage.deleteCookie('session', { path: '/app', domain: 'example.com' });
      */
     deleteCookie(key, path = '/') {
-        if (typeof key !== 'string' || !key) throw new Error(`Invalid key: ${key}`);
-        this.setCookie(key, '', { expires: new Date(0), path });
+        this.#validateKey(key);
+        const options = { ...this.defaultOptions, ...(typeof path === 'object' ? path : { path }) };
+        const chunkCount = Number(this.#readRaw()[CookieStorage.#chunkCountName(key)]) || 0;
+        this.#expire(key, options);
+        this.#deleteChunks(key, 0, chunkCount, options);
+        this.#checkChanges();
     }
 
     /**
-     * Retrieves all cookies as an object of key-value pairs.
+     * Declares a cookie, or a family of cookies when the name ends with '*' (e.g. '_ga*'), with its consent
+     * category. Writes to cookies of categories the user has not consented to are dropped or queued.
+     * @param {string} name - The cookie name, or a prefix followed by '*'.
+     * @param {CookieDefinition} definition - The category and details of the cookie.
+     * @returns {CookieStorage} This storage, for chaining.
+     */
+    register(name, definition) {
+        this.#validateKey(name.endsWith('*') ? name.slice(0, -1) || '_' : name);
+        if (!CookieStorage.#CATEGORIES.includes(definition?.category)) {
+            throw new Error(`Invalid category for ${name}: ${definition?.category}`);
+        }
+        this.#registry.set(name, { ...definition });
+        return this;
+    }
+
+    /**
+     * Records consent for some categories and writes the queued cookies that are now allowed.
+     * @param {...CookieCategory} categories - The categories consented to.
+     */
+    grantConsent(...categories) {
+        categories.forEach(category => this.#consent.add(category));
+
+        const queued = this.#queue;
+        this.#queue = [];
+        for (const { key, value, options } of queued) this.setCookie(key, value, options);
+    }
+
+    /**
+     * Withdraws consent for some categories and deletes every existing cookie belonging to them.
+     * Consent for essential cookies cannot be withdrawn.
+     * @param {...CookieCategory} categories - The categories to withdraw.
+     */
+    withdrawConsent(...categories) {
+        const withdrawn = categories.filter(category => category !== 'essential');
+        withdrawn.forEach(category => this.#consent.delete(category));
+        this.#queue = this.#queue.filter(({ key }) => !withdrawn.includes(this.#getDefinition(key)?.category));
+        this.purge();
+    }
+
+    /**
+     * Whether the user has consented to a category.
+     * @param {CookieCategory} category - The category.
+     * @returns {boolean} True if consented.
+     */
+    hasConsent(category) {
+        return this.#consent.has(category);
+    }
+
+    /**
+     * Deletes every existing cookie that is not allowed under the current consent.
+     * @returns {string[]} The names of the deleted cookies.
+     */
+    purge() {
+        const purged = Object.keys(this.getAllCookies()).filter(name => {
+            const definition = this.#getDefinition(name);
+            return CookieStorage.#NAME_PATTERN.test(name) && !this.#isAllowed(definition);
+        });
+        purged.forEach(name => this.deleteCookie(name, this.#getDefinitionOptions(this.#getDefinition(name))));
+        return purged;
+    }
+
+    /**
+     * Lists the registered cookies, for a privacy page or a cookie banner.
+     * @returns {CookieInventoryEntry[]} One entry per registration, sorted by category, with the names of
+     * the matching cookies currently present.
+     * @example
+     * const rows = storage.getInventory().map(({ name, category, purpose, lifetime }) => ({ name, category, purpose, lifetime }));
+     */
+    getInventory() {
+        const present = Object.keys(this.getAllCookies());
+        return [...this.#registry]
+            .map(([name, definition]) => ({
+                name,
+                ...definition,
+                consented: this.#consent.has(definition.category),
+                present: present.filter(cookie => this.#getDefinition(cookie) === definition),
+            }))
+            .sort((a, b) => CookieStorage.#CATEGORIES.indexOf(a.category) - CookieStorage.#CATEGORIES.indexOf(b.category));
+    }
+
+    /**
+     * Calls a function whenever the value of a cookie changes, whether through this storage or elsewhere
+     * (other scripts, other tabs, the server). External changes are detected with the Cookie Store API
+     * where available, or by polling otherwise.
+     * @param {string} key - The name of the cookie.
+     * @param {(value: string | undefined, previous: string | undefined) => void} fn - Called with the new and
+     * the previous value; the value is undefined when the cookie is deleted.
+     * @returns {() => void} Stops the notifications.
+     */
+    onChange(key, fn) {
+        this.#validateKey(key);
+        if (!this.#listeners.has(key)) {
+            this.#listeners.set(key, new Set());
+            this.#snapshot.set(key, this.getCookie(key));
+        }
+        this.#listeners.get(key).add(fn);
+        this.#stopWatching ??= this.#watch();
+
+        return () => {
+            const listeners = this.#listeners.get(key);
+            listeners?.delete(fn);
+            if (listeners?.size === 0) {
+                this.#listeners.delete(key);
+                this.#snapshot.delete(key);
+            }
+            if (this.#listeners.size === 0 && this.#stopWatching) {
+                this.#stopWatching();
+                this.#stopWatching = null;
+            }
+        };
+    }
+
+    /**
+     * Retrieves all cookies as an object of key-value pairs. Chunked cookies are joined.
      * @returns {Object.<string, string>} An object containing all cookies.
      * @example
      * const storage = new CookieStorage();
      * console.log(storage.getAllCookies()); // Output: { username: 'JohnDoe', sessionId: '12345' }
      */
     getAllCookies() {
-        if (!navigator.cookieEnabled) {
+        if (!this.adapter.isEnabled()) {
             console.warn("Cookies are disabled in this browser.");
             return {};
         }
 
-        return document.cookie.split('; ').reduce((cookies, cookie) => {
-            const [key, value] = cookie.split('=');
-            cookies[decodeURIComponent(key)] = decodeURIComponent(value);
+        const raw = this.#readRaw();
+        const parts = new Set();
+
+        for (const name of Object.keys(raw)) {
+            if (!name.endsWith(CookieStorage.#CHUNKS_SUFFIX)) continue;
+            const key = name.slice(0, -CookieStorage.#CHUNKS_SUFFIX.length);
+            parts.add(name);
+            for (let index = 0; index < Number(raw[name]); index++) parts.add(`${key}__${index}`);
+            raw[key] ??= '';
+        }
+
+        return Object.keys(raw).reduce((cookies, name) => {
+            if (!parts.has(name)) cookies[name] = this.#readValue(raw, name);
             return cookies;
         }, {});
     }
 
     /**
-     * Checks if cookies are supported in the current browser.
+     * Checks if cookies are supported in the current browser. Always true on the server.
      * @returns {boolean} True if cookies are supported, false otherwise.
      * @example
      * const storage = new CookieStorage();
      * console.log(storage.isCookieSupported()); // Output: true or false
      */
     isCookieSupported() {
-        return navigator.cookieEnabled;
+        return this.adapter.isEnabled();
+    }
+
+    /**
+     * Finds the registration of a cookie: an exact name first, then the longest matching prefix.
+     * @private
+     * @param {string} name - The cookie name.
+     * @returns {CookieDefinition | undefined} The definition.
+     */
+    #getDefinition(name) {
+        if (this.#registry.has(name)) return this.#registry.get(name);
+
+        let match;
+        for (const [pattern, definition] of this.#registry) {
+            if (this.#matches(pattern, name) && (!match || pattern.length > match.pattern.length)) {
+                match = { pattern, definition };
+            }
+        }
+        return match?.definition;
+    }
+
+    /**
+     * Whether a registration name matches a cookie name.
+     * @private
+     * @param {string} pattern - The registered name, possibly ending with '*'.
+     * @param {string} name - The cookie name.
+     * @returns {boolean} True if it matches.
+     */
+    #matches(pattern, name) {
+        return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : pattern === name;
+    }
+
+    /**
+     * Whether a cookie may be stored under the current consent.
+     * @private
+     * @param {CookieDefinition | undefined} definition - The registration of the cookie.
+     * @returns {boolean} True if allowed.
+     */
+    #isAllowed(definition) {
+        if (!definition) return !this.#strict;
+        return this.#consent.has(definition.category);
+    }
+
+    /**
+     * Cookie options implied by a registration.
+     * @private
+     * @param {CookieDefinition | undefined} definition - The registration.
+     * @returns {SetCookieOptions} The options.
+     */
+    #getDefinitionOptions(definition) {
+        const options = {};
+        if (definition?.lifetime !== undefined) options.maxAge = definition.lifetime;
+        if (definition?.path) options.path = definition.path;
+        if (definition?.domain) options.domain = definition.domain;
+        return options;
+    }
+
+    /**
+     * Starts watching for external cookie changes.
+     * @private
+     * @returns {() => void} Stops watching.
+     */
+    #watch() {
+        const check = () => this.#checkChanges();
+
+        if (!this.adapter.server && globalThis.cookieStore?.addEventListener) {
+            globalThis.cookieStore.addEventListener('change', check);
+            return () => globalThis.cookieStore.removeEventListener('change', check);
+        }
+
+        // On the server, cookies only change through this storage
+        if (this.adapter.server) return () => {};
+
+        const interval = setInterval(check, this.#pollInterval);
+        return () => clearInterval(interval);
+    }
+
+    /**
+     * Notifies the `onChange` listeners of the cookies whose value changed since the last check.
+     * @private
+     */
+    #checkChanges() {
+        if (!this.#listeners.size) return;
+        const raw = this.#readRaw();
+
+        for (const [key, previous] of this.#snapshot) {
+            const value = this.#readValue(raw, key);
+            if (value === previous) continue;
+            this.#snapshot.set(key, value);
+            for (const fn of [...(this.#listeners.get(key) ?? [])]) {
+                try {
+                    fn(value, previous);
+                } catch (error) {
+                    console.error(`Cookie change listener for "${key}" failed:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the configured secrets, throwing if there are none.
+     * @private
+     * @returns {Array<string|Uint8Array>} The secrets.
+     */
+    #getSecrets() {
+        if (!this.#secrets.length) throw new Error('No secrets configured for signed or encrypted cookies');
+        if (!globalThis.crypto?.subtle) throw new Error('Web Crypto is not available in this environment');
+        return this.#secrets;
+    }
+
+    /**
+     * Derives, with HKDF, separate signing and encryption keys from a secret. Keys are cached per secret.
+     * @private
+     * @param {string|Uint8Array} secret - The secret.
+     * @returns {Promise<{sign: CryptoKey, encrypt: CryptoKey}>} The keys.
+     */
+    #getKeys(secret) {
+        if (!this.#keys.has(secret)) {
+            this.#keys.set(secret, (async () => {
+                const material = typeof secret === 'string' ? new TextEncoder().encode(secret) : secret;
+                const base = await crypto.subtle.importKey('raw', material, 'HKDF', false, ['deriveKey']);
+                const derive = (info, algorithm, usages) => crypto.subtle.deriveKey(
+                    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(info) },
+                    base,
+                    algorithm,
+                    false,
+                    usages
+                );
+                return {
+                    sign: await derive('cookie-storage:sign', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign', 'verify']),
+                    encrypt: await derive('cookie-storage:encrypt', { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']),
+                };
+            })());
+        }
+        return this.#keys.get(secret);
+    }
+
+    /**
+     * Serializes a value for a signed or encrypted cookie, embedding the expiry of the cookie.
+     * @private
+     * @param {any} value - A JSON-serializable value.
+     * @param {SetCookieOptions} [options] - The cookie options.
+     * @returns {string} The JSON payload.
+     */
+    #createPayload(value, options) {
+        const { expires, maxAge } = { ...this.defaultOptions, ...options };
+        const expiresAt = maxAge !== undefined && maxAge !== null ? Date.now() + maxAge * 1000 :
+            expires ? new Date(expires).getTime() : null;
+        if (JSON.stringify(value) === undefined) throw new Error(`Invalid value: ${value}`);
+        return JSON.stringify({ value, expiresAt });
+    }
+
+    /**
+     * Parses a verified payload, checking its embedded expiry.
+     * @private
+     * @param {() => string} read - Returns the JSON payload.
+     * @returns {VerifiedCookie} The value, or undefined and the reason it was rejected.
+     */
+    #readPayload(read) {
+        let payload;
+        try {
+            payload = JSON.parse(read());
+        } catch {
+            return { value: undefined, reason: 'malformed' };
+        }
+        if (payload.expiresAt !== null && payload.expiresAt <= Date.now()) return { value: undefined, reason: 'expired' };
+        return { value: payload.value };
+    }
+
+    /**
+     * Encodes bytes as unpadded base64url, which needs no escaping in cookies.
+     * @private
+     * @param {ArrayBuffer|Uint8Array} bytes - The bytes.
+     * @returns {string} The encoded string.
+     */
+    #encodeBase64(bytes) {
+        const array = new Uint8Array(bytes);
+        let binary = '';
+        // Converted in chunks, as spreading a large value would overflow the call stack
+        for (let i = 0; i < array.length; i += 0x8000) {
+            binary += String.fromCharCode(...array.subarray(i, i + 0x8000));
+        }
+        return btoa(binary)
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Decodes unpadded base64url.
+     * @private
+     * @param {string} value - The encoded string.
+     * @returns {Uint8Array} The bytes.
+     * @throws {Error} If the string is not valid base64url.
+     */
+    #decodeBase64(value) {
+        if (!value || !/^[\w-]+$/.test(value)) throw new Error(`Invalid base64url: ${value}`);
+        return Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Throws if the key is not a valid cookie name.
+     * @private
+     * @param {string} key - The name of the cookie.
+     */
+    #validateKey(key) {
+        if (typeof key !== 'string' || !key) throw new Error(`Invalid key: ${key}`);
+        if (!CookieStorage.#NAME_PATTERN.test(key)) {
+            throw new Error(`Invalid key: ${key}. Cookie names cannot contain spaces, separators or control characters`);
+        }
+    }
+
+    /**
+     * Builds the attributes part of a cookie string, starting with '; '.
+     * @private
+     * @param {SetCookieOptions} options - The cookie options.
+     * @returns {string} The attributes.
+     */
+    #serializeAttributes(options) {
+        let attributes = '';
+
+        if (options?.expires) {
+            const expirationDate = new Date(options.expires);
+            if (isNaN(expirationDate.getTime())) throw new Error(`Could not instance a Date object from ${options.expires}`);
+            attributes += `; Expires=${expirationDate.toUTCString()}`;
+        }
+
+        if (options?.maxAge !== undefined && options?.maxAge !== null) {
+            if (!Number.isFinite(options.maxAge)) throw new Error(`Invalid maxAge: ${options.maxAge}`);
+            attributes += `; Max-Age=${Math.floor(options.maxAge)}`;
+        }
+
+        if (options?.path) {
+            if (typeof options.path !== 'string') throw new Error(`Invalid path: ${options.path}`);
+            attributes += `; Path=${options.path}`;
+        }
+
+        if (options?.domain) {
+            if (typeof options.domain !== 'string' || /[;\s]/.test(options.domain)) throw new Error(`Invalid domain: ${options.domain}`);
+            attributes += `; Domain=${options.domain}`;
+        }
+
+        if (options?.secure) {
+            attributes += '; Secure';
+        }
+
+        if (options?.sameSite) {
+            if (!['Lax', 'None', 'Strict'].includes(options.sameSite)) throw new Error(`Invalid SameSite ${options.sameSite}`);
+            if (options.sameSite === 'None' && !options.secure) console.warn('SameSite=None cookies are rejected by browsers unless secure is set.');
+            attributes += `; SameSite=${options.sameSite}`;
+        }
+
+        if (options?.partitioned) {
+            if (!options.secure) throw new Error('Partitioned cookies must be secure');
+            attributes += '; Partitioned';
+        }
+
+        if (options?.httpOnly) {
+            if (this.adapter.server) attributes += '; HttpOnly';
+            else console.warn('HttpOnly cookies can only be set by the server; the attribute is ignored.');
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Reads every cookie, keeping names and values encoded.
+     * @private
+     * @returns {Object.<string, string>} The raw cookies.
+     */
+    #readRaw() {
+        return this.adapter.read().split(/;\s*/).filter(Boolean).reduce((cookies, cookie) => {
+            const separator = cookie.indexOf('=');
+            const name = separator === -1 ? '' : cookie.slice(0, separator);
+            if (!(name in cookies)) cookies[name] = cookie.slice(separator + 1);
+            return cookies;
+        }, {});
+    }
+
+    /**
+     * Reads and decodes a value from the raw cookies, joining its chunks if it was split.
+     * @private
+     * @param {Object.<string, string>} raw - The raw cookies.
+     * @param {string} key - The name of the cookie.
+     * @returns {string | undefined} The value.
+     */
+    #readValue(raw, key) {
+        const chunkCount = Number(raw[CookieStorage.#chunkCountName(key)]);
+        if (!chunkCount) return key in raw ? this.#decode(raw[key]) : undefined;
+
+        const chunks = Array.from({ length: chunkCount }, (_, index) => raw[`${key}__${index}`]);
+        return chunks.includes(undefined) ? undefined : this.#decode(chunks.join(''));
+    }
+
+    /**
+     * Decodes a cookie name or value, keeping it as is if it is not valid URI encoding.
+     * @private
+     * @param {string} value - The encoded value.
+     * @returns {string} The decoded value.
+     */
+    #decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch {
+            return value;
+        }
+    }
+
+    /**
+     * Expires a single cookie.
+     * @private
+     * @param {string} name - The name of the cookie.
+     * @param {SetCookieOptions} options - The options it was set with.
+     */
+    #expire(name, options) {
+        this.adapter.write(`${name}=${this.#serializeAttributes({ ...options, expires: new Date(0), maxAge: undefined, httpOnly: false })}`);
+    }
+
+    /**
+     * Expires the chunks of a chunked cookie from index `from` to `to` (exclusive), and the chunk counter when
+     * removing all of them.
+     * @private
+     * @param {string} key - The name of the cookie.
+     * @param {number} from - The first chunk to remove.
+     * @param {number} to - The number of chunks currently stored.
+     * @param {SetCookieOptions} options - The options the chunks were set with.
+     */
+    #deleteChunks(key, from, to, options) {
+        for (let index = from; index < to; index++) this.#expire(`${key}__${index}`, options);
+        if (from === 0 && to > 0) this.#expire(CookieStorage.#chunkCountName(key), options);
+    }
+
+    /**
+     * Splits an encoded value in pieces of at most `size` bytes, never cutting a %XX escape sequence.
+     * @private
+     * @param {string} value - The URI-encoded value.
+     * @param {number} size - The maximum size of each piece.
+     * @returns {string[]} The pieces.
+     */
+    #split(value, size) {
+        if (size < 3) throw new RangeError(`Cookie names are too long to fit in ${this.maxSize} bytes`);
+        const chunks = [];
+        for (let start = 0; start < value.length;) {
+            let end = Math.min(start + size, value.length);
+            const escape = value.lastIndexOf('%', end - 1);
+            if (escape > end - 3 && escape >= start) end = escape;
+            chunks.push(value.slice(start, end));
+            start = end;
+        }
+        return chunks;
+    }
+
+    /**
+     * Size of a string in bytes once encoded as UTF-8.
+     * @private
+     * @param {string} value - The string.
+     * @returns {number} The size.
+     */
+    #byteLength(value) {
+        return new TextEncoder().encode(value).length;
+    }
+
+    /**
+     * Name of the cookie holding the number of chunks of a chunked cookie.
+     * @private
+     * @param {string} key - The name of the chunked cookie.
+     * @returns {string} The name of the counter.
+     */
+    static #chunkCountName(key) {
+        return `${key}${CookieStorage.#CHUNKS_SUFFIX}`;
     }
 }
@@ -1,4 +1,7 @@
 class SuperArray extends Array {
+
+    #immutable = false;
+
     /**
      * Creates an instance of SuperArray, extending the native Array class.
      * It supports all standard Array functionalities and adds custom utilities.
@@ -12,23 +15,328 @@ class SuperArray extends Array {
         super(...params);
     }
 
+    /**
+     * Creates an immutable SuperArray. The instance is frozen, and the methods that would modify it (`swap`,
+     * `move`, `shuffle`, `sortBy` and the native `push`, `pop`, `shift`, `unshift`, `splice`, `sort`,
+     * `reverse`, `fill` and `copyWithin`) return a new immutable instance instead, sharing the same elements.
+     * Arrays derived with other methods, like `filter` or `map`, are regular mutable SuperArrays.
+     * @param {...any} items - Elements of the array.
+     * @returns {SuperArray} - The immutable array.
+     * @example
+     * const todos = SuperArray.frozen({ id: 1 }, { id: 2 });
+     * const next = todos.push({ id: 3 }); // new array, `todos` is unchanged
+     * next[0] === todos[0]; // true
+     */
+    static frozen(...items) {
+        const array = new SuperArray();
+        array.push(...items);
+        return array.#freeze();
+    }
+
+    /**
+     * Whether the array was created with `SuperArray.frozen`.
+     * @type {boolean}
+     */
+    get immutable() {
+        return this.#immutable;
+    }
+
+    /**
+     * Returns a mutable copy of the array.
+     * @returns {SuperArray} - The copy.
+     */
+    toMutable() {
+        const copy = new SuperArray();
+        for (const item of this) copy.push(item);
+        return copy;
+    }
+
+    /**
+     * Internal method making this instance immutable.
+     * @private
+     * @returns {SuperArray} - This array, frozen.
+     */
+    #freeze() {
+        this.#immutable = true;
+        return Object.freeze(this);
+    }
+
+    /**
+     * Internal method applying a change to a mutable copy of an immutable array.
+     * @private
+     * @param {(copy: SuperArray) => any} change - Modifies the copy.
+     * @returns {SuperArray} - The changed copy, frozen.
+     */
+    #withCopy(change) {
+        const copy = this.toMutable();
+        change(copy);
+        return copy.#freeze();
+    }
+
+    push(...items) {
+        return this.#immutable ? this.#withCopy(copy => copy.push(...items)) : super.push(...items);
+    }
+
+    pop() {
+        return this.#immutable ? this.#withCopy(copy => copy.pop()) : super.pop();
+    }
+
+    shift() {
+        return this.#immutable ? this.#withCopy(copy => copy.shift()) : super.shift();
+    }
+
+    unshift(...items) {
+        return this.#immutable ? this.#withCopy(copy => copy.unshift(...items)) : super.unshift(...items);
+    }
+
+    splice(...params) {
+        return this.#immutable ? this.#withCopy(copy => copy.splice(...params)) : super.splice(...params);
+    }
+
+    sort(compare) {
+        return this.#immutable ? this.#withCopy(copy => copy.sort(compare)) : super.sort(compare);
+    }
+
+    reverse() {
+        return this.#immutable ? this.#withCopy(copy => copy.reverse()) : super.reverse();
+    }
+
+    fill(...params) {
+        return this.#immutable ? this.#withCopy(copy => copy.fill(...params)) : super.fill(...params);
+    }
+
+    copyWithin(...params) {
+        return this.#immutable ? this.#withCopy(copy => copy.copyWithin(...params)) : super.copyWithin(...params);
+    }
+
     /**
      * Internal method to fetch values based on a selector.
+     * A string selector containing dots, like 'address.city', is read as a nested path unless the item
+     * has a key with that exact name.
      * @private
      * @param {Object|any} item - The object or value to fetch data from.
-     * @param {string|number|function} selector - The key, index, or function to extract a value.
+     * @param {string|number|function} selector - The key, path, index, or function to extract a value.
      * @returns {any} - The extracted value.
      */
     #getValueBySelector(item, selector) {
         switch (typeof selector) {
             case 'function': return selector(item);
             case 'string':
+                if (selector.includes('.') && !(item != null && selector in Object(item))) {
+                    return selector.split('.').reduce((value, key) => value?.[key], item);
+                }
+                return item?.[selector];
             case 'number':
-            case 'bigint': return item[selector];
+            case 'bigint': return item?.[selector];
             default: return item;
         }
     }
 
+    /**
+     * Internal method to build a hashable key for set operations and joins.
+     * Dates become timestamps and an array of selectors builds a composite key.
+     * @private
+     * @param {Object|any} item - The object or value to fetch data from.
+     * @param {string|number|function|Array} selector - The selector(s) building the key.
+     * @returns {any} - The key, or undefined if any part of it is null or undefined.
+     */
+    #getKey(item, selector) {
+        const normalize = value => value instanceof Date ? value.getTime() : value;
+
+        if (!Array.isArray(selector)) return normalize(this.#getValueBySelector(item, selector)) ?? undefined;
+
+        const parts = selector.map(part => normalize(this.#getValueBySelector(item, part)));
+        return parts.some(part => part === null || part === undefined) ? undefined : JSON.stringify(parts);
+    }
+
+    /**
+     * Internal method to index items by key.
+     * @private
+     * @param {Iterable} items - The items to index.
+     * @param {string|number|function|Array} selector - The key selector(s).
+     * @returns {Map<any, any[]>} - The items sharing each key, in their original order.
+     */
+    #indexBy(items, selector) {
+        const index = new Map();
+        for (const item of items) {
+            const key = this.#getKey(item, selector);
+            if (key === undefined) continue;
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(item);
+        }
+        return index;
+    }
+
+    /**
+     * Returns the first element for each distinct key.
+     * @param {string|number|function|Array} selector - The key selector, or an array of them for a composite key.
+     * @returns {SuperArray} - The array of unique elements.
+     */
+    uniqueBy(selector) {
+        const seen = new Set();
+        return this.filter(item => {
+            const key = this.#getKey(item, selector);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Returns the elements whose key is also found in another array. Runs in linear time.
+     * @param {Array} array - The array to intersect with.
+     * @param {string|number|function|Array} selector - The key selector for this array.
+     * @param {string|number|function|Array} [otherSelector=selector] - The key selector for the other array.
+     * @returns {SuperArray} - The intersected array.
+     */
+    intersectBy(array, selector, otherSelector = selector) {
+        const keys = this.#indexBy(array, otherSelector);
+        return this.filter(item => keys.has(this.#getKey(item, selector)));
+    }
+
+    /**
+     * Returns the elements whose key is not found in another array. Runs in linear time.
+     * @param {Array} array - The array to compare with.
+     * @param {string|number|function|Array} selector - The key selector for this array.
+     * @param {string|number|function|Array} [otherSelector=selector] - The key selector for the other array.
+     * @returns {SuperArray} - The difference array.
+     */
+    differenceBy(array, selector, otherSelector = selector) {
+        const keys = this.#indexBy(array, otherSelector);
+        return this.filter(item => !keys.has(this.#getKey(item, selector)));
+    }
+
+    /**
+     * Returns the elements of both arrays with distinct keys. When a key is in both, this array's element wins.
+     * @param {Array} array - The array to merge with.
+     * @param {string|number|function|Array} selector - The key selector, shared by both arrays.
+     * @returns {SuperArray} - The union array.
+     */
+    unionBy(array, selector) {
+        const union = new SuperArray();
+        for (const item of this) union.push(item);
+        for (const item of array) union.push(item);
+        return union.uniqueBy(selector);
+    }
+
+    /**
+     * Inner join with another array: one merged row for each pair of elements with equal keys.
+     * Elements with a null or undefined key never match. Runs in linear time plus the size of the result.
+     *
+     * Rows are merged with `{...left, ...right}`. Fields present on both sides, other than the join key
+     * when it is the same field, are renamed with `suffixes`. Pass `merge` to build rows yourself.
+     *
+     * Called with a string, or without arguments, it behaves as the native `Array.prototype.join`.
+     *
+     * @param {Array} other - The right-hand array.
+     * @param {Object} options - Join options.
+     * @param {string|number|function|Array} [options.on] - The key selector, shared by both arrays.
+     * @param {string|number|function|Array} [options.left=on] - The key selector for this array.
+     * @param {string|number|function|Array} [options.right=on] - The key selector for the other array.
+     * @param {[string, string]} [options.suffixes=['', '_right']] - Appended to colliding left and right field names.
+     * @param {(left: Object|undefined, right: Object|undefined) => any} [options.merge] - Builds each row.
+     * @returns {SuperArray} - The joined rows.
+     * @example
+     * orders.join(users, { left: 'userId', right: 'id' });
+     * // [{ id: 7, userId: 1, total: 20, id_right: 1, name: 'Ana' }, ...]
+     */
+    join(other, options = {}) {
+        if (!Array.isArray(other)) return super.join(other);
+        return this.#join(other, options, { keepLeft: false, keepRight: false });
+    }
+
+    /**
+     * Left outer join: like `join`, also keeping elements of this array without a match.
+     * @param {Array} other - The right-hand array.
+     * @param {Object} options - Same options as `join`.
+     * @returns {SuperArray} - The joined rows.
+     */
+    leftJoin(other, options = {}) {
+        return this.#join(other, options, { keepLeft: true, keepRight: false });
+    }
+
+    /**
+     * Full outer join: like `join`, also keeping elements of both arrays without a match.
+     * @param {Array} other - The right-hand array.
+     * @param {Object} options - Same options as `join`.
+     * @returns {SuperArray} - The joined rows.
+     */
+    fullJoin(other, options = {}) {
+        return this.#join(other, options, { keepLeft: true, keepRight: true });
+    }
+
+    /**
+     * Internal method shared by the joins.
+     * @private
+     * @param {Array} other - The right-hand array.
+     * @param {Object} options - The join options.
+     * @param {{keepLeft: boolean, keepRight: boolean}} outer - Which unmatched elements to keep.
+     * @returns {SuperArray} - The joined rows.
+     */
+    #join(other, { on, left = on, right = on, suffixes = ['', '_right'], merge } = {}, { keepLeft, keepRight }) {
+        if (left === undefined || right === undefined) {
+            throw new Error('A key selector is required for join');
+        }
+
+        const [leftSuffix, rightSuffix] = suffixes;
+        const sharedKey = left === right && typeof left === 'string' ? left : null;
+
+        const combine = merge || ((leftRow, rightRow) => {
+            if (!leftRow || !rightRow) return { ...leftRow, ...rightRow };
+            const row = {};
+            for (const [field, value] of Object.entries(leftRow)) {
+                const collides = field !== sharedKey && field in rightRow;
+                row[collides ? field + leftSuffix : field] = value;
+            }
+            for (const [field, value] of Object.entries(rightRow)) {
+                if (field === sharedKey) continue;
+                row[field in leftRow ? field + rightSuffix : field] = value;
+            }
+            return row;
+        });
+
+        const index = this.#indexBy(other, right);
+        const matched = new Set();
+        const rows = new SuperArray();
+
+        for (const leftRow of this) {
+            const key = this.#getKey(leftRow, left);
+            const matches = key === undefined ? undefined : index.get(key);
+
+            if (!matches) {
+                if (keepLeft) rows.push(combine(leftRow, undefined));
+                continue;
+            }
+
+            matched.add(key);
+            for (const rightRow of matches) rows.push(combine(leftRow, rightRow));
+        }
+
+        if (keepRight) {
+            for (const rightRow of other) {
+                const key = this.#getKey(rightRow, right);
+                if (key === undefined || !matched.has(key)) rows.push(combine(undefined, rightRow));
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Starts a lazily evaluated query over the array. Nothing runs until the results are read.
+     * @returns {SuperArrayQuery} - A chainable query builder.
+     * @example
+     * const rows = people.query()
+     *     .where({ age: { $gt: 30 }, 'address.city': 'Madrid' })
+     *     .orderBy(['lastName', { selector: 'age', order: 'desc' }])
+     *     .select(['name', 'age'])
+     *     .limit(10)
+     *     .toArray();
+     */
+    query() {
+        return new SuperArrayQuery(this, (item, selector) => this.#getValueBySelector(item, selector));
+    }
+
     /**
      * Sums the elements in the array. Supports grouping and field selection.
      * @param {Object} options - Options for summing.
@@ -57,16 +365,309 @@ class SuperArray extends Array {
         return totals;
     }
 
+    /**
+     * Computes metrics over the array, optionally grouped by one or more keys.
+     *
+     * A metric is either `[name, selector, ...args]` using a built-in aggregate, or a function receiving the
+     * items of the group. Built-ins: 'count' (items, or non-null values when a selector is given),
+     * 'distinct' (number of distinct values), 'sum', 'avg', 'min', 'max', 'median', 'stddev' (population)
+     * and 'percentile' (takes the percentile, 0 to 100, as extra argument). Null, undefined and
+     * non-numeric values are ignored by the numeric aggregates; 'min' and 'max' also compare strings and dates.
+     *
+     * @param {Object} options - Aggregation options.
+     * @param {string|function|Array<string|function>|Object<string, string|function>} [options.groupBy] - The
+     * key(s) to group by, outermost first. Use an object to name keys computed by functions.
+     * @param {Object<string, Array|function>} options.metrics - The metrics to compute, by output name.
+     * @param {'rows'|'tree'} [options.format='rows'] - 'rows' returns one object per group holding the key
+     * fields and the metrics; 'tree' returns objects nested by key value with the metrics at the leaves.
+     * @returns {SuperArray|Object} - The grouped result, or the metrics object when there is no `groupBy`.
+     * @example
+     * sales.aggregate({
+     *     groupBy: ['region', { year: sale => new Date(sale.date).getFullYear() }],
+     *     metrics: {
+     *         total: ['sum', 'amount'],
+     *         avg: ['avg', 'amount'],
+     *         p95: ['percentile', 'latency', 95],
+     *         customers: ['distinct', 'customerId'],
+     *         biggest: items => Math.max(...items.map(item => item.amount)),
+     *     },
+     * });
+     * // SuperArray [{ region: 'EU', year: 2024, total: 1200, avg: 300, p95: 180, customers: 3, biggest: 500 }, ...]
+     */
+    aggregate({ groupBy, metrics = {}, format = 'rows' } = {}) {
+        const computeMetrics = items => Object.fromEntries(
+            Object.entries(metrics).map(([name, metric]) => [name, this.#computeMetric(items, metric)])
+        );
+
+        if (groupBy === undefined || groupBy === null) return computeMetrics([...this]);
+
+        const keys = this.#getNamedKeys(groupBy);
+
+        const group = (items, level) => {
+            const groups = new Map();
+            for (const item of items) {
+                const value = this.#getValueBySelector(item, keys[level].selector);
+                if (!groups.has(value)) groups.set(value, []);
+                groups.get(value).push(item);
+            }
+            return groups;
+        };
+
+        if (format === 'tree') {
+            const build = (items, level) => {
+                if (level === keys.length) return computeMetrics(items);
+                const node = {};
+                for (const [value, members] of group(items, level)) node[value] = build(members, level + 1);
+                return node;
+            };
+            return build(this, 0);
+        }
+
+        const rows = new SuperArray();
+        const collect = (items, level, fields) => {
+            if (level === keys.length) {
+                rows.push({ ...fields, ...computeMetrics(items) });
+                return;
+            }
+            for (const [value, members] of group(items, level)) {
+                collect(members, level + 1, { ...fields, [keys[level].name]: value });
+            }
+        };
+        collect(this, 0, {});
+        return rows;
+    }
+
+    /**
+     * Internal method turning `groupBy`-style keys into named selectors.
+     * @private
+     * @param {string|function|Array<string|function>|Object<string, string|function>} keys - The key(s).
+     * @returns {{name: string, selector: string|number|function}[]} - The named selectors.
+     */
+    #getNamedKeys(keys) {
+        return (Array.isArray(keys) ? keys : [keys]).flatMap(key =>
+            key !== null && typeof key === 'object' ?
+                Object.entries(key).map(([name, selector]) => ({ name, selector })) :
+                [{ name: typeof key === 'function' ? key.name || 'key' : key, selector: key }]
+        );
+    }
+
+    /**
+     * Builds a cross-tab: one row per distinct `rows` key, one column per distinct `columns` value, and each
+     * cell aggregating the elements in both. Columns appear in the order their values are first found.
+     * The result is a SuperArray of plain objects, so it can be exported with `toCSV`.
+     * @param {Object} options - Pivot options.
+     * @param {string|function|Array<string|function>|Object<string, string|function>} options.rows - The row
+     * key(s), named like the `groupBy` keys of `aggregate`.
+     * @param {string|function} options.columns - The selector whose values become columns.
+     * @param {string|function} [options.value] - The selector of the aggregated value.
+     * @param {string|function} [options.aggregate='sum'] - A built-in aggregate of `aggregate`, or a function
+     * receiving the items of the cell.
+     * @param {any} [options.fill=null] - The value of empty cells.
+     * @returns {SuperArray} - The pivoted rows.
+     * @example
+     * sales.pivot({ rows: 'region', columns: 'quarter', value: 'amount' });
+     * // SuperArray [{ region: 'EU', Q1: 120, Q2: 80 }, { region: 'US', Q1: 40, Q2: null }]
+     */
+    pivot({ rows, columns, value, aggregate = 'sum', fill = null } = {}) {
+        if (rows === undefined || columns === undefined) {
+            throw new Error('Both rows and columns are required for pivot');
+        }
+
+        const keys = this.#getNamedKeys(rows);
+        const metric = typeof aggregate === 'function' ? aggregate : [aggregate, value];
+        const columnNames = new Set();
+        const groups = new Map();
+
+        for (const item of this) {
+            const fields = Object.fromEntries(keys.map(({ name, selector }) => [name, this.#getValueBySelector(item, selector)]));
+            const rowKey = JSON.stringify(Object.values(fields));
+            const column = String(this.#getValueBySelector(item, columns));
+
+            if (!groups.has(rowKey)) groups.set(rowKey, { fields, cells: new Map() });
+            const { cells } = groups.get(rowKey);
+            if (!cells.has(column)) cells.set(column, []);
+            cells.get(column).push(item);
+            columnNames.add(column);
+        }
+
+        const result = new SuperArray();
+        for (const { fields, cells } of groups.values()) {
+            const row = { ...fields };
+            for (const column of columnNames) {
+                row[column] = cells.has(column) ? this.#computeMetric(cells.get(column), metric) : fill;
+            }
+            result.push(row);
+        }
+        return result;
+    }
+
+    /**
+     * Parses CSV (or TSV, or any delimiter) text into a SuperArray.
+     * Supports quoted fields containing delimiters, line breaks and doubled quotes (`""`), and both
+     * `\n` and `\r\n` line endings.
+     * @param {string} text - The CSV text.
+     * @param {Object} [options] - Parsing options.
+     * @param {string} [options.delimiter=','] - The field delimiter; use '\t' for TSV.
+     * @param {boolean} [options.header=true] - Whether the first row holds the column names. Without a
+     * header, each row is an array unless `columns` is given.
+     * @param {string[]} [options.columns] - Column names to use instead of the header row, which is still
+     * skipped when `header` is true.
+     * @param {boolean} [options.inferTypes=true] - Converts numbers, booleans ('true'/'false') and ISO dates,
+     * and turns empty fields into null. Numbers with leading zeros or beyond the safe integer range stay strings.
+     * @param {boolean} [options.skipEmptyLines=true] - Ignores blank lines.
+     * @returns {SuperArray} - The parsed rows.
+     * @example
+     * const rows = SuperArray.fromCSV('name;age\n"Valverde; Raul";34', { delimiter: ';' });
+     * // SuperArray [{ name: 'Valverde; Raul', age: 34 }]
+     */
+    static fromCSV(text, { delimiter = ',', header = true, columns, inferTypes = true, skipEmptyLines = true } = {}) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char !== '"') field += char;
+                else if (text[i + 1] === '"') field += text[i++];
+                else quoted = false;
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (text.startsWith(delimiter, i)) {
+                record.push(field);
+                field = '';
+                i += delimiter.length - 1;
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const rows = skipEmptyLines ? records.filter(fields => fields.length > 1 || fields[0] !== '') : records;
+        const headerRow = header ? rows.shift() : null;
+        const names = columns || headerRow;
+
+        const convert = value => {
+            if (!inferTypes) return value;
+            if (value === '') return null;
+            if (value === 'true' || value === 'false') return value === 'true';
+            // Leading zeros (postcodes, phone numbers) and integers beyond 2^53 would not survive as numbers
+            if (/^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value) && !/^-?0\d/.test(value)) {
+                const number = Number(value);
+                if (!/^-?\d+$/.test(value) || Number.isSafeInteger(number)) return number;
+            }
+            if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+                const date = new Date(value);
+                if (!Number.isNaN(date.getTime())) return date;
+            }
+            return value;
+        };
+
+        const result = new SuperArray();
+        for (const fields of rows) {
+            const values = fields.map(convert);
+            result.push(names ? Object.fromEntries(names.map((name, index) => [name, values[index] ?? null])) : values);
+        }
+        return result;
+    }
+
+    /**
+     * Serializes the array as CSV. Fields containing the delimiter, quotes or line breaks are quoted, dates
+     * are written as ISO strings, objects as JSON and null or undefined as empty fields.
+     * @param {Object} [options] - Serialization options.
+     * @param {Array<string|number>|Object<string, string|function>} [options.columns] - The columns to write:
+     * an array of selectors, named after themselves, or an object mapping header names to selectors. Defaults
+     * to every key found in the rows, or to the raw values when the rows are arrays.
+     * @param {string} [options.delimiter=','] - The field delimiter; use '\t' for TSV.
+     * @param {boolean} [options.header=true] - Whether to write the header row.
+     * @param {string} [options.newline='\n'] - The line separator.
+     * @returns {string} - The CSV text.
+     */
+    toCSV({ columns, delimiter = ',', header = true, newline = '\n' } = {}) {
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            const text = value instanceof Date ? value.toISOString() :
+                typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+        };
+
+        if (!columns && this.every(row => Array.isArray(row))) {
+            return this.map(row => row.map(escape).join(delimiter)).join(newline);
+        }
+
+        const entries = columns ?
+            (Array.isArray(columns) ? columns.map(selector => [selector, selector]) : Object.entries(columns)) :
+            [...new Set(this.flatMap(row => Object.keys(row ?? {})))].map(name => [name, name]);
+
+        const lines = this.map(row => entries.map(([, selector]) => escape(this.#getValueBySelector(row, selector))).join(delimiter));
+        if (header) lines.unshift(entries.map(([name]) => escape(name)).join(delimiter));
+        return lines.join(newline);
+    }
+
+    /**
+     * Internal method computing one `aggregate` metric over a group.
+     * @private
+     * @param {any[]} items - The items of the group.
+     * @param {Array|function} metric - `[name, selector, ...args]` or a function receiving the items.
+     * @returns {any} - The metric value.
+     */
+    #computeMetric(items, metric) {
+        if (typeof metric === 'function') return metric(items);
+
+        const [name, selector, ...args] = metric;
+        const values = items.map(item => this.#getValueBySelector(item, selector)).filter(value => value !== null && value !== undefined);
+        const numbers = values.map(value => value instanceof Date ? value.getTime() : parseFloat(value)).filter(value => !Number.isNaN(value));
+        const sorted = () => [...numbers].sort((a, b) => a - b);
+        const percentile = p => {
+            const ordered = sorted();
+            if (!ordered.length) return null;
+            const rank = (p / 100) * (ordered.length - 1);
+            const lower = Math.floor(rank);
+            return ordered[lower] + (ordered[Math.ceil(rank)] - ordered[lower]) * (rank - lower);
+        };
+        const sum = numbers.reduce((total, value) => total + value, 0);
+        const avg = numbers.length ? sum / numbers.length : null;
+
+        switch (name) {
+            case 'count': return selector === undefined ? items.length : values.length;
+            case 'distinct': return new Set(values.map(value => value instanceof Date ? value.getTime() : value)).size;
+            case 'sum': return sum;
+            case 'avg': return avg;
+            case 'min':
+            case 'max': return values.reduce((best, value) => best === null ||
+                (name === 'min' ? value < best : value > best) ? value : best, null);
+            case 'median': return percentile(50);
+            case 'percentile': return percentile(args[0]);
+            case 'stddev': return numbers.length ?
+                Math.sqrt(numbers.reduce((total, value) => total + (value - avg) ** 2, 0) / numbers.length) :
+                null;
+            default: throw new Error(`Unknown aggregate: ${name}`);
+        }
+    }
+
     /**
      * Swaps two elements in the array.
      * @param {number} index1 - The index of the first element.
      * @param {number} index2 - The index of the second element.
-     * @returns {SuperArray} - The modified array.
+     * @returns {SuperArray} - The modified array, or a modified copy if the array is immutable.
      */
     swap(index1, index2) {
         if (index1 < 0 || index1 >= this.length || index2 < 0 || index2 >= this.length) {
             throw new RangeError('Index out of bounds');
         }
+        if (this.#immutable) return this.#withCopy(copy => copy.swap(index1, index2));
         [this[index1], this[index2]] = [this[index2], this[index1]];
         return this;
     }
@@ -75,12 +676,13 @@ class SuperArray extends Array {
      * Moves an element from one index to another.
      * @param {number} oldIndex - The index of the element to move.
      * @param {number} newIndex - The target index.
-     * @returns {SuperArray} - The modified array.
+     * @returns {SuperArray} - The modified array, or a modified copy if the array is immutable.
      */
     move(oldIndex, newIndex) {
         if (oldIndex < 0 || oldIndex >= this.length || newIndex < 0 || newIndex >= this.length) {
             throw new RangeError('Index out of bounds');
         }
+        if (this.#immutable) return this.#withCopy(copy => copy.move(oldIndex, newIndex));
         const [element] = this.splice(oldIndex, 1);
         this.splice(newIndex, 0, element);
         return this;
@@ -97,22 +699,101 @@ class SuperArray extends Array {
 
     /**
      * Searches for elements that match a specified value.
+     *
+     * By default, string values match when they contain `like` (case-insensitive) and other values match
+     * when they are numerically equal to it. With `fuzzy`, `like` and the values are folded (lowercase, no
+     * diacritics) and split into words; an element matches when every word of `like` is close enough to some
+     * word of its values, and the results are ranked by relevance.
+     *
      * @param {string|number} like - The value to search for.
-     * @param {string|function} selector - The field or function to extract values for comparison.
-     * @returns {SuperArray} - The filtered array of matches.
+     * @param {string|function|Array<string|function>} selector - The field(s) or function(s) to extract values for comparison.
+     * @param {Object} [options] - Search options.
+     * @param {boolean} [options.fuzzy=false] - Enables fuzzy, ranked matching.
+     * @param {number} [options.threshold=0.7] - Minimum similarity, from 0 to 1, for two words to match.
+     * @param {string} [options.locale] - The locale used to lowercase text.
+     * @param {boolean} [options.scores=false] - Returns `{item, score}` objects instead of the elements.
+     * @returns {SuperArray} - The matches; ranked best first when fuzzy.
+     * @example
+     * people.search('jose garcia', ['firstName', 'lastName'], { fuzzy: true });
+     * // [José García, Jose Luis García Pérez], and "Josefa Garcés" too with a lower threshold
      */
-    search(like, selector) {
-        const normalize = (value = '') => typeof value === 'string' ?
-            value.toLocaleLowerCase().trim()
-            :
-            parseFloat(value);
+    search(like, selector, { fuzzy = false, threshold = 0.7, locale, scores = false } = {}) {
+        const selectors = Array.isArray(selector) ? selector : [selector];
 
-        const likeNormalized = normalize(like);
+        if (!fuzzy) {
+            const normalize = (value = '') => typeof value === 'string' ?
+                value.toLocaleLowerCase(locale).trim()
+                :
+                parseFloat(value);
 
-        return this.filter(item => {
-            const value = normalize(this.#getValueBySelector(item, selector));
-            return typeof value === 'number' ? value === like : value.includes(likeNormalized);
+            const likeNormalized = normalize(like);
+
+            return this.filter(item => selectors.some(selector => {
+                const value = normalize(this.#getValueBySelector(item, selector) ?? '');
+                return typeof value === 'number' ?
+                    value === parseFloat(like) :
+                    value.includes(typeof likeNormalized === 'number' ? String(like) : likeNormalized);
+            }));
+        }
+
+        const tokenize = value => String(value ?? '')
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .toLocaleLowerCase(locale)
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean);
+
+        const terms = tokenize(like);
+        const ranked = [];
+
+        this.forEach((item, index) => {
+            const words = selectors.flatMap(selector => tokenize(this.#getValueBySelector(item, selector)));
+            let total = 0;
+
+            for (const term of terms) {
+                const best = words.reduce((max, word) => Math.max(max, this.#getSimilarity(term, word)), 0);
+                if (best < threshold) return;
+                total += best;
+            }
+
+            ranked.push({ item, score: terms.length ? total / terms.length : 1, index });
         });
+
+        ranked.sort((a, b) => b.score - a.score || a.index - b.index);
+
+        const result = new SuperArray();
+        for (const { item, score } of ranked) result.push(scores ? { item, score } : item);
+        return result;
+    }
+
+    /**
+     * Internal method rating how well a search term matches a word, from 0 to 1.
+     * Exact matches score 1, prefixes 0.9 and other substrings 0.8; otherwise the score is based on the edit
+     * distance between the term and the word.
+     * @private
+     * @param {string} term - The folded search term.
+     * @param {string} word - The folded word.
+     * @returns {number} - The similarity.
+     */
+    #getSimilarity(term, word) {
+        if (term === word) return 1;
+        if (word.startsWith(term)) return 0.9;
+        if (word.includes(term)) return 0.8;
+
+        let previous = Array.from({ length: word.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= term.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= word.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (term[i - 1] === word[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return 1 - previous[word.length] / Math.max(term.length, word.length);
     }
 
     /**
@@ -154,11 +835,216 @@ class SuperArray extends Array {
         return chunks;
     }
 
+    /**
+     * Returns sliding windows over the array. Only full windows are returned.
+     * @param {number} size - The number of elements in each window.
+     * @param {number} [step=1] - How many elements each window moves forward.
+     * @returns {SuperArray[]} - An array of windows.
+     * @example
+     * new SuperArray(1, 2, 3, 4).window(2); // [[1, 2], [2, 3], [3, 4]]
+     */
+    window(size, step = 1) {
+        if (size < 1 || step < 1) {
+            throw new RangeError('Window size and step must be positive');
+        }
+        const windows = [];
+        for (let i = 0; i + size <= this.length; i += step) {
+            const frame = new SuperArray();
+            for (let j = i; j < i + size; j++) frame.push(this[j]);
+            windows.push(frame);
+        }
+        return windows;
+    }
+
+    /**
+     * Computes a metric over a window ending at each element, in the current order of the array.
+     * @param {Object} options - Rolling options.
+     * @param {string|function} [options.selector] - The field or function to read values from.
+     * @param {number} options.size - The number of elements in each window.
+     * @param {string|function} [options.fn='avg'] - A built-in aggregate of `aggregate`, or a function
+     * receiving the elements of the window.
+     * @param {number} [options.minSize=size] - Windows with fewer elements, at the start, yield null.
+     * @returns {SuperArray} - One value per element.
+     * @example
+     * metrics.rolling({ selector: 'latency', size: 5, fn: 'median' });
+     */
+    rolling({ selector, size, fn = 'avg', minSize = size } = {}) {
+        const metric = typeof fn === 'function' ? fn : [fn, selector];
+        return this.map((_, index) => index + 1 < minSize ?
+            null :
+            this.#computeMetric(this.slice(Math.max(0, index - size + 1), index + 1), metric)
+        );
+    }
+
+    /**
+     * Computes a running total (or count, min, max, average) up to each element.
+     * Null, undefined and non-numeric values are skipped but still get the running value.
+     * @param {Object} [options] - Cumulative options.
+     * @param {string|function} [options.selector] - The field or function to read values from.
+     * @param {'sum'|'count'|'min'|'max'|'avg'} [options.fn='sum'] - The running aggregate.
+     * @returns {SuperArray} - One value per element.
+     */
+    cumulative({ selector, fn = 'sum' } = {}) {
+        let count = 0;
+        let sum = 0;
+        let min = null;
+        let max = null;
+
+        return this.map(item => {
+            const value = parseFloat(this.#getValueBySelector(item, selector));
+            if (!Number.isNaN(value)) {
+                count++;
+                sum += value;
+                min = min === null ? value : Math.min(min, value);
+                max = max === null ? value : Math.max(max, value);
+            }
+            switch (fn) {
+                case 'sum': return sum;
+                case 'count': return count;
+                case 'min': return min;
+                case 'max': return max;
+                case 'avg': return count ? sum / count : null;
+                default: throw new Error(`Unknown cumulative function: ${fn}`);
+            }
+        });
+    }
+
+    /**
+     * Returns, for each element, the value found `offset` elements before it.
+     * @param {string|function} [selector] - The field or function to read values from.
+     * @param {number} [offset=1] - How many elements to look back.
+     * @param {any} [defaultValue=null] - The value when there is no such element.
+     * @returns {SuperArray} - One value per element.
+     * @example
+     * const deltas = readings.lag('value').map((previous, i) => previous === null ? null : readings[i].value - previous);
+     */
+    lag(selector, offset = 1, defaultValue = null) {
+        return this.map((_, index) => {
+            const target = index - offset;
+            return target >= 0 && target < this.length ? this.#getValueBySelector(this[target], selector) : defaultValue;
+        });
+    }
+
+    /**
+     * Returns, for each element, the value found `offset` elements after it.
+     * @param {string|function} [selector] - The field or function to read values from.
+     * @param {number} [offset=1] - How many elements to look ahead.
+     * @param {any} [defaultValue=null] - The value when there is no such element.
+     * @returns {SuperArray} - One value per element.
+     */
+    lead(selector, offset = 1, defaultValue = null) {
+        return this.lag(selector, -offset, defaultValue);
+    }
+
+    /**
+     * Ranks the elements, leaving the array untouched. Ties share a rank; the next rank skips the tied
+     * positions (1, 2, 2, 4), or not with `dense` (1, 2, 2, 3).
+     * @param {Object|string|function|Array<Object|string|function>} [options] - The sort key(s), with the
+     * options of `sortBy`, plus `dense`.
+     * @param {boolean} [options.dense=false] - Whether to use dense ranking.
+     * @returns {SuperArray} - The rank of each element, in the current order of the array.
+     * @example
+     * const ranks = players.rank({ selector: 'score', order: 'desc' });
+     */
+    rank(options = {}) {
+        const { dense = false } = Array.isArray(options) || typeof options !== 'object' ? {} : options;
+        const compare = this.#createSorter(options);
+
+        const order = [...this.keys()].sort((a, b) => compare(this[a], this[b]));
+        const ranks = new SuperArray();
+        ranks.length = this.length;
+
+        order.forEach((index, position) => {
+            const previous = order[position - 1];
+            if (position > 0 && compare(this[previous], this[index]) === 0) {
+                ranks[index] = ranks[previous];
+            } else {
+                ranks[index] = dense ? (position > 0 ? ranks[previous] + 1 : 1) : position + 1;
+            }
+        });
+
+        return ranks;
+    }
+
+    /**
+     * Groups the elements into consecutive time buckets, in chronological order.
+     * Named intervals are aligned to UTC calendar boundaries, weeks starting on Monday; intervals in
+     * milliseconds are aligned to the Unix epoch. Elements without a valid date are ignored.
+     * @param {Object} options - Bucketing options.
+     * @param {string|function} options.selector - The field or function returning a date, timestamp or date string.
+     * @param {'second'|'minute'|'hour'|'day'|'week'|'month'|'year'|number} options.interval - The bucket size.
+     * @param {boolean} [options.fill=true] - Adds empty buckets for the gaps between the first and the last one.
+     * @param {number} [options.maxBuckets=100000] - The most buckets gap filling may produce.
+     * @param {Object<string, Array|function>} [options.metrics] - Metrics to compute for each bucket, as in `aggregate`.
+     * @returns {SuperArray} - `{start: Date, items: SuperArray, ...metrics}` for each bucket.
+     * @throws {RangeError} - If filling the gaps would produce more than `maxBuckets` buckets.
+     * @example
+     * events.bucketBy({ selector: 'timestamp', interval: 'hour', metrics: { count: ['count'], p95: ['percentile', 'latency', 95] } });
+     */
+    bucketBy({ selector, interval, fill = true, maxBuckets = 100000, metrics } = {}) {
+        const units = { second: 1e3, minute: 6e4, hour: 36e5, day: 864e5, week: 6048e5 };
+
+        const floor = time => {
+            const date = new Date(time);
+            switch (interval) {
+                case 'year': return Date.UTC(date.getUTCFullYear(), 0);
+                case 'month': return Date.UTC(date.getUTCFullYear(), date.getUTCMonth());
+                // The Unix epoch is a Thursday; the first Monday is 4 days later
+                case 'week': return Math.floor((time - 4 * units.day) / units.week) * units.week + 4 * units.day;
+                default: {
+                    const size = units[interval] ?? interval;
+                    if (!(size > 0)) throw new Error(`Invalid bucket interval: ${interval}`);
+                    return Math.floor(time / size) * size;
+                }
+            }
+        };
+
+        const next = start => {
+            const date = new Date(start);
+            switch (interval) {
+                case 'year': return Date.UTC(date.getUTCFullYear() + 1, 0);
+                case 'month': return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1);
+                default: return start + (units[interval] ?? interval);
+            }
+        };
+
+        const buckets = new Map();
+        for (const item of this) {
+            const value = this.#getValueBySelector(item, selector);
+            const time = (value instanceof Date ? value : new Date(value)).getTime();
+            if (value === null || value === undefined || Number.isNaN(time)) continue;
+            const start = floor(time);
+            if (!buckets.has(start)) buckets.set(start, new SuperArray());
+            buckets.get(start).push(item);
+        }
+
+        let starts = [...buckets.keys()].sort((a, b) => a - b);
+        if (fill && starts.length) {
+            const [first, last] = [starts[0], starts[starts.length - 1]];
+            starts = [];
+            for (let start = first; start <= last; start = next(start)) {
+                if (starts.length === maxBuckets) {
+                    throw new RangeError(`Filling the gaps would create more than ${maxBuckets} buckets, use a larger interval or fill: false`);
+                }
+                starts.push(start);
+                if (!buckets.has(start)) buckets.set(start, new SuperArray());
+            }
+        }
+
+        const result = new SuperArray();
+        for (const start of starts) {
+            const items = buckets.get(start);
+            result.push({ start: new Date(start), items, ...(metrics && items.aggregate({ metrics })) });
+        }
+        return result;
+    }
+
     /**
      * Randomly shuffles the array elements in place.
-     * @returns {SuperArray} - The shuffled array.
+     * @returns {SuperArray} - The shuffled array, or a shuffled copy if the array is immutable.
      */
     shuffle() {
+        if (this.#immutable) return this.#withCopy(copy => copy.shuffle());
         for (let i = this.length - 1; i > 0; i--) {
             const j = Math.floor(Math.random() * (i + 1));
             [this[i], this[j]] = [this[j], this[i]];
@@ -167,22 +1053,87 @@ class SuperArray extends Array {
     }
 
     /**
-     * Sorts the array by a specified selector.
-     * @param {Object} options - Sorting options.
+     * Sorts the array by one or more keys. Pass an array of keys to sort by several of them: later keys break
+     * ties left by earlier ones, and elements that still tie keep their original order.
+     * Null, undefined and invalid values are placed according to `nulls`, whatever the order.
+     * @param {Object|string|function|Array<Object|string|function>} options - Sorting options, or a selector.
      * @param {'asc'|'desc'} [options.order='asc'] - The order of sorting.
      * @param {string|function} options.selector - The field or function to sort by.
-     * @param {'date'|'string'|'number'} [options.type='number'] - The type of data.
-     * @returns {SuperArray} - The sorted array.
-     */
-    sortBy({ order = 'asc', selector, type } = {}) {
-        return this.sort((a, b) => {
-            const valueA = this.#getValueBySelector(a, selector);
-            const valueB = this.#getValueBySelector(b, selector);
-            const comparison = type === 'date' ? 
-                new Date(valueA) - new Date(valueB) : 
-                (typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB);
-            return order === 'asc' ? comparison : -comparison;
-        });
+     * @param {'date'|'string'|'number'} [options.type] - The type of data. Inferred from the values when omitted.
+     * @param {string|string[]} [options.locale] - The locale(s) used to compare strings.
+     * @param {'base'|'accent'|'case'|'variant'} [options.sensitivity='variant'] - Which differences between
+     * strings matter, as in `Intl.Collator`: 'base' ignores case and accents, 'accent' ignores case only.
+     * @param {boolean} [options.numeric=false] - Natural ordering of digits in strings, so that "item2" < "item10".
+     * @param {'first'|'last'} [options.nulls='last'] - Where missing values go.
+     * @returns {SuperArray} - The sorted array, or a sorted copy if the array is immutable.
+     * @example
+     * files.sortBy([
+     *     { selector: 'folder', sensitivity: 'base' },
+     *     { selector: 'name', numeric: true },
+     *     { selector: 'modifiedAt', type: 'date', order: 'desc', nulls: 'first' },
+     * ]);
+     */
+    sortBy(options = {}) {
+        return this.sort(this.#createSorter(options));
+    }
+
+    /**
+     * Internal method combining the comparators of one or more `sortBy` keys.
+     * @private
+     * @param {Object|string|function|Array<Object|string|function>} options - The sort key(s).
+     * @returns {(a: any, b: any) => number} - The comparator.
+     */
+    #createSorter(options) {
+        const comparators = (Array.isArray(options) ? options : [options]).map(key => this.#createComparator(
+            key !== null && typeof key === 'object' ? key : { selector: key }
+        ));
+
+        return (a, b) => {
+            for (const compare of comparators) {
+                const comparison = compare(a, b);
+                if (comparison) return comparison;
+            }
+            return 0;
+        };
+    }
+
+    /**
+     * Internal method building the comparator of one `sortBy` key.
+     * @private
+     * @param {Object} key - The sort key options.
+     * @returns {(a: any, b: any) => number} - The comparator.
+     */
+    #createComparator({ order = 'asc', selector, type, locale, sensitivity = 'variant', numeric = false, nulls = 'last' }) {
+        const collator = new Intl.Collator(locale, { sensitivity, numeric });
+        const direction = order === 'desc' ? -1 : 1;
+        const nullDirection = nulls === 'first' ? -1 : 1;
+
+        const convert = value => {
+            if (value === null || value === undefined) return null;
+            switch (type) {
+                case 'date': return new Date(value).getTime();
+                case 'number': return parseFloat(value);
+                case 'string': return String(value);
+                default: return value instanceof Date ? value.getTime() : value;
+            }
+        };
+        const isMissing = value => value === null || Number.isNaN(value);
+
+        return (a, b) => {
+            const valueA = convert(this.#getValueBySelector(a, selector));
+            const valueB = convert(this.#getValueBySelector(b, selector));
+
+            if (isMissing(valueA) || isMissing(valueB)) {
+                if (isMissing(valueA) && isMissing(valueB)) return 0;
+                return isMissing(valueA) ? nullDirection : -nullDirection;
+            }
+
+            const comparison = typeof valueA === 'string' && typeof valueB === 'string' ?
+                collator.compare(valueA, valueB) :
+                (valueA < valueB ? -1 : valueA > valueB ? 1 : 0);
+
+            return comparison * direction;
+        };
     }
 
     /**
@@ -210,4 +1161,348 @@ class SuperArray extends Array {
     difference(array) {
         return new SuperArray(...this.filter(item => !array.includes(item)));
     }
-}
\ No newline at end of file
+
+    /**
+     * Compares this array (the previous state) with another one (the next state), matching elements by key.
+     * Elements are expected to have unique keys; without a key, elements are matched by identity.
+     *
+     * Moves are kept to a minimum: the longest run of elements already in relative order stays in place, and
+     * only the others are reported as moved. Indexes of `added` and `moved.to` refer to the other array,
+     * indexes of `removed` and `moved.from` to this one.
+     *
+     * @param {Array} other - The array to compare with.
+     * @param {Object} [options] - Diff options.
+     * @param {string|number|function|Array} [options.key] - The key selector, or an array of them for a composite key.
+     * @param {(before: any, after: any) => boolean} [options.equals] - Tells whether a kept element is unchanged.
+     * Defaults to a shallow comparison of own enumerable properties.
+     * @returns {{added: {item: any, index: number}[], removed: {item: any, index: number}[],
+     * moved: {item: any, from: number, to: number}[], changed: {before: any, after: any, index: number}[]}}
+     * @example
+     * const { added, removed, moved, changed } = previous.diff(next, { key: 'id' });
+     */
+    diff(other, { key, equals } = {}) {
+        const isEqual = equals || ((a, b) => {
+            if (a === b) return true;
+            if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+            const keys = Object.keys(a);
+            return keys.length === Object.keys(b).length && keys.every(field => Object.is(a[field], b[field]));
+        });
+        const getKey = item => key === undefined ? item : this.#getKey(item, key);
+
+        const previous = new Map();
+        this.forEach((item, index) => {
+            const itemKey = getKey(item);
+            if (!previous.has(itemKey)) previous.set(itemKey, index);
+        });
+
+        const result = { added: [], removed: [], moved: [], changed: [] };
+        const kept = [];
+        const seen = new Set();
+
+        other.forEach((item, index) => {
+            const itemKey = getKey(item);
+            if (!previous.has(itemKey) || seen.has(itemKey)) {
+                result.added.push({ item, index });
+                return;
+            }
+            seen.add(itemKey);
+            const from = previous.get(itemKey);
+            kept.push({ from, to: index });
+            if (!isEqual(this[from], item)) result.changed.push({ before: this[from], after: item, index });
+        });
+
+        this.forEach((item, index) => {
+            if (!seen.has(getKey(item)) || previous.get(getKey(item)) !== index) result.removed.push({ item, index });
+        });
+
+        // Longest increasing subsequence of the previous indexes, in O(n log n)
+        const tails = [];
+        const parents = [];
+        kept.forEach(({ from }, position) => {
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (kept[tails[middle]].from < from) low = middle + 1;
+                else high = middle;
+            }
+            parents[position] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = position;
+        });
+
+        const stable = new Set();
+        for (let position = tails[tails.length - 1] ?? -1; position !== -1; position = parents[position]) {
+            stable.add(position);
+        }
+
+        kept.forEach(({ from, to }, position) => {
+            if (!stable.has(position)) result.moved.push({ item: other[to], from, to });
+        });
+
+        return result;
+    }
+}
+
+/**
+ * Chainable query over a SuperArray, created with `SuperArray.prototype.query`.
+ * Each step is recorded and only evaluated when the results are read, with `toArray`, `first`, `count`
+ * or by iterating the query. Filters run first, then sorting, then `offset`/`limit`, then `select`.
+ */
+class SuperArrayQuery {
+
+    #source;
+    #resolve;
+    #filters;
+    #sorters;
+    #projection;
+    #offset;
+    #limit;
+
+    /**
+     * Operators accepted in `where` conditions. Each receives the value found in the item and the operand.
+     * @private
+     */
+    static #operators = {
+        $eq: (value, operand) => SuperArrayQuery.#equals(value, operand),
+        $ne: (value, operand) => !SuperArrayQuery.#equals(value, operand),
+        $gt: (value, operand) => value != null && value > operand,
+        $gte: (value, operand) => value != null && value >= operand,
+        $lt: (value, operand) => value != null && value < operand,
+        $lte: (value, operand) => value != null && value <= operand,
+        $in: (value, operand) => operand.some(candidate => SuperArrayQuery.#equals(value, candidate)),
+        $nin: (value, operand) => !operand.some(candidate => SuperArrayQuery.#equals(value, candidate)),
+        $between: (value, [min, max]) => value != null && value >= min && value <= max,
+        $regex: (value, operand) => SuperArrayQuery.#testPattern(value, operand instanceof RegExp ? operand : new RegExp(operand)),
+        $exists: (value, operand) => (value !== undefined) === Boolean(operand),
+    };
+
+    /**
+     * @param {Iterable} source - The items to query.
+     * @param {(item: any, selector: string|number|function) => any} resolve - Reads a selector from an item.
+     */
+    constructor(source, resolve) {
+        this.#source = source;
+        this.#resolve = resolve;
+        this.#filters = [];
+        this.#sorters = [];
+        this.#projection = null;
+        this.#offset = 0;
+        this.#limit = Infinity;
+    }
+
+    /**
+     * Keeps the items matching a condition. Calling it several times combines the conditions with AND.
+     * A condition is either a predicate function or an object mapping selectors to an expected value,
+     * a RegExp or an operator object (`$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`,
+     * `$between`, `$regex`, `$exists`). `$and` and `$or` take arrays of conditions.
+     * @param {Object|function} condition - The condition to match.
+     * @returns {SuperArrayQuery} - The query.
+     * @example
+     * query.where({ status: { $in: ['active', 'trial'] }, createdAt: { $between: [from, to] } });
+     * query.where({ $or: [{ role: 'admin' }, { 'team.lead': true }] });
+     */
+    where(condition) {
+        this.#filters.push(this.#compile(condition));
+        return this;
+    }
+
+    /**
+     * Sorts the results by one or more keys. Later keys break ties left by earlier ones, and items that
+     * still tie keep their original order. Keys accept the same options as `SuperArray.prototype.sortBy`.
+     * @param {string|function|{selector: string|function, order?: 'asc'|'desc'}|Array} keys - The sort key(s).
+     * @returns {SuperArrayQuery} - The query.
+     */
+    orderBy(keys) {
+        for (const key of Array.isArray(keys) ? keys : [keys]) {
+            this.#sorters.push(key !== null && typeof key === 'object' ? key : { selector: key });
+        }
+        return this;
+    }
+
+    /**
+     * Picks the fields of each result.
+     * An array of selectors keeps those fields, named after the selector; an object maps output names to
+     * selectors; a function maps each item freely.
+     * @param {Array<string|number>|Object<string, string|function>|function} fields - The fields to keep.
+     * @returns {SuperArrayQuery} - The query.
+     */
+    select(fields) {
+        if (typeof fields === 'function') {
+            this.#projection = fields;
+        } else {
+            const entries = Array.isArray(fields) ? fields.map(selector => [selector, selector]) : Object.entries(fields);
+            this.#projection = item => Object.fromEntries(entries.map(([name, selector]) => [name, this.#resolve(item, selector)]));
+        }
+        return this;
+    }
+
+    /**
+     * Skips the first results.
+     * @param {number} count - The number of results to skip.
+     * @returns {SuperArrayQuery} - The query.
+     */
+    offset(count) {
+        this.#offset = count;
+        return this;
+    }
+
+    /**
+     * Caps the number of results.
+     * @param {number} count - The maximum number of results.
+     * @returns {SuperArrayQuery} - The query.
+     */
+    limit(count) {
+        this.#limit = count;
+        return this;
+    }
+
+    /**
+     * Runs the query. Without `orderBy`, reading stops as soon as the limit is reached.
+     * @returns {Generator<any>}
+     */
+    *[Symbol.iterator]() {
+        let items = this.#matches();
+
+        if (this.#sorters.length) {
+            const sorted = new SuperArray();
+            for (const item of items) sorted.push(item);
+            items = sorted.sortBy(this.#sorters);
+        }
+
+        let skipped = 0;
+        let taken = 0;
+
+        for (const item of items) {
+            if (taken >= this.#limit) return;
+            if (skipped++ < this.#offset) continue;
+            taken++;
+            yield this.#projection ? this.#projection(item) : item;
+        }
+    }
+
+    /**
+     * Runs the query and collects the results.
+     * @returns {SuperArray} - The results.
+     */
+    toArray() {
+        const results = new SuperArray();
+        for (const item of this) results.push(item);
+        return results;
+    }
+
+    /**
+     * Runs the query and returns the first result.
+     * @returns {any} - The first result, or undefined.
+     */
+    first() {
+        for (const item of this) return item;
+        return undefined;
+    }
+
+    /**
+     * Runs the query and counts the results.
+     * @returns {number} - The number of results.
+     */
+    count() {
+        let total = 0;
+        for (const _ of this) total++;
+        return total;
+    }
+
+    /**
+     * Yields the source items passing every filter.
+     * @private
+     * @returns {Generator<any>}
+     */
+    *#matches() {
+        for (const item of this.#source) {
+            if (this.#filters.every(filter => filter(item))) yield item;
+        }
+    }
+
+    /**
+     * Turns a `where` condition into a predicate.
+     * @private
+     * @param {Object|function} condition - The condition.
+     * @returns {(item: any) => boolean}
+     */
+    #compile(condition) {
+        if (typeof condition === 'function') return condition;
+
+        const predicates = Object.entries(condition).map(([selector, expected]) => {
+            if (selector === '$and') {
+                const all = expected.map(nested => this.#compile(nested));
+                return item => all.every(predicate => predicate(item));
+            }
+            if (selector === '$or') {
+                const any = expected.map(nested => this.#compile(nested));
+                return item => any.some(predicate => predicate(item));
+            }
+            return item => this.#test(this.#resolve(item, selector), expected);
+        });
+
+        return item => predicates.every(predicate => predicate(item));
+    }
+
+    /**
+     * Tests a value against an expected value, RegExp or operator object.
+     * @private
+     * @param {any} value - The value found in the item.
+     * @param {any} expected - The expected value.
+     * @returns {boolean}
+     */
+    #test(value, expected) {
+        if (expected instanceof RegExp) return SuperArrayQuery.#testPattern(value, expected);
+
+        const isOperatorObject = expected !== null && typeof expected === 'object' && !Array.isArray(expected) &&
+            !(expected instanceof Date) && Object.keys(expected).some(key => key.startsWith('$'));
+
+        if (!isOperatorObject) return SuperArrayQuery.#equals(value, expected);
+
+        return Object.entries(expected).every(([operator, operand]) => {
+            const test = SuperArrayQuery.#operators[operator];
+            if (!test) throw new Error(`Unknown query operator: ${operator}`);
+            return test(SuperArrayQuery.#comparable(value), SuperArrayQuery.#comparable(operand));
+        });
+    }
+
+    /**
+     * Tests a string against a RegExp. The `lastIndex` of global and sticky patterns is reset first,
+     * so every item is tested from the start.
+     * @private
+     * @param {any} value - The value found in the item.
+     * @param {RegExp} pattern - The pattern.
+     * @returns {boolean}
+     */
+    static #testPattern(value, pattern) {
+        if (typeof value !== 'string') return false;
+        pattern.lastIndex = 0;
+        return pattern.test(value);
+    }
+
+    /**
+     * Equality that treats dates with the same time as equal and compares arrays element by element.
+     * @private
+     * @param {any} a - First value.
+     * @param {any} b - Second value.
+     * @returns {boolean}
+     */
+    static #equals(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, index) => SuperArrayQuery.#equals(item, b[index]));
+        }
+        return SuperArrayQuery.#comparable(a) === SuperArrayQuery.#comparable(b);
+    }
+
+    /**
+     * Converts dates to timestamps so they compare like numbers; other values are returned as they are.
+     * @private
+     * @param {any} value - The value.
+     * @returns {any}
+     */
+    static #comparable(value) {
+        if (value instanceof Date) return value.getTime();
+        if (Array.isArray(value)) return value.map(SuperArrayQuery.#comparable);
+        return value;
+    }
+}
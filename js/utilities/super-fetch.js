@@ -1,29 +1,1075 @@
+/**
+ * An ordered list of interceptor handlers. SuperFetch exposes two of them through
+ * `api.interceptors.request` and `api.interceptors.response`.
+ * 
+ * @class
+ * @example
+ * const id = api.interceptors.request.use(config => {
+ *     config.headers['X-Request-Id'] = crypto.randomUUID();
+ *     return config;
+ * });
+ * api.interceptors.request.eject(id);
+ */
+class InterceptorManager {
+
+    #handlers;
+
+    constructor() {
+        this.#handlers = [];
+    }
+
+    /**
+     * Registers an interceptor. Handlers run in registration order and may return a Promise.
+     * @param {Function} [onFulfilled] - Receives the current value (request config or response data) and returns the next one.
+     * @param {Function} [onRejected] - Receives the error of any previous step; returning a value recovers from it, throwing keeps it failed.
+     * @returns {number} An id that can be passed to `eject`.
+     */
+    use(onFulfilled, onRejected) {
+        if (onFulfilled && typeof onFulfilled !== 'function') throw new Error(`${onFulfilled} is not a function`);
+        if (onRejected && typeof onRejected !== 'function') throw new Error(`${onRejected} is not a function`);
+        this.#handlers.push({ onFulfilled, onRejected });
+        return this.#handlers.length - 1;
+    }
+
+    /**
+     * Removes a previously registered interceptor. Other ids remain valid.
+     * @param {number} id - The id returned by `use`.
+     */
+    eject(id) {
+        if (this.#handlers[id]) this.#handlers[id] = null;
+    }
+
+    /**
+     * Removes every registered interceptor.
+     */
+    clear() {
+        this.#handlers.fill(null);
+    }
+
+    /**
+     * The number of active interceptors.
+     * @type {number}
+     */
+    get size() {
+        return this.#handlers.filter(Boolean).length;
+    }
+
+    /**
+     * Iterates over the active interceptors in registration order.
+     * @param {(handler: {onFulfilled?: Function, onRejected?: Function}) => void} callBack
+     */
+    forEach(callBack) {
+        this.#handlers.forEach(handler => handler && callBack(handler));
+    }
+}
+
+/**
+ * Retry policy applied when none is configured. Only idempotent methods are retried.
+ * @type {RetryPolicy}
+ */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    statuses: [408, 425, 429, 500, 502, 503, 504],
+    baseDelay: 300,
+    factor: 2,
+    maxDelay: 30000,
+    jitter: 'full',
+    retryAfter: true,
+    onRetry: null,
+});
+
+/**
+ * Response types whose body is consumed by the caller after the request resolves.
+ * They are never cached nor deduplicated.
+ */
+const STREAMING_RESPONSE_TYPES = ['stream', 'ndjson', 'sse'];
+
+/**
+ * Size in bytes of the slices a request body is split into when reporting upload progress.
+ */
+const UPLOAD_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Names of the headers and query parameters always hidden from observer events.
+ */
+const DEFAULT_REDACTED_FIELDS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|null} value - The header value.
+ * @returns {number} Milliseconds to wait (never negative), or NaN if the value is missing or invalid.
+ */
+const parseRetryAfter = value => {
+    const ms = /^\d+$/.test(value?.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return isNaN(ms) ? NaN : Math.max(ms, 0);
+};
+
+/**
+ * Base class of every error produced by SuperFetch.
+ * @class
+ * @example
+ * try {
+ *     await api.get('/users/3', null, { throwErrors: true });
+ * } catch (err) {
+ *     if (err instanceof HttpError && err.status === 404) showNotFound();
+ *     else if (err instanceof TimeoutError) showRetryButton();
+ * }
+ */
+export class SuperFetchError extends Error {
+
+    /**
+     * @param {string} message - Error message.
+     * @param {Object} [details]
+     * @param {string} [details.method] - HTTP method of the failed request.
+     * @param {string} [details.url] - URL of the failed request.
+     * @param {number} [details.attempts] - Number of attempts made before giving up.
+     * @param {any} [details.cause] - The underlying error, if any.
+     */
+    constructor(message, { method, url, attempts, cause } = {}) {
+        super(message, { cause });
+        this.name = 'SuperFetchError';
+        this.method = method;
+        this.url = url;
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * The server answered with a non-2xx status.
+ * @class
+ */
+export class HttpError extends SuperFetchError {
+
+    /**
+     * @param {string} message - Error message.
+     * @param {Object} details - Same as SuperFetchError, plus the response data below.
+     * @param {number} details.status - Response status code.
+     * @param {string} [details.statusText] - Response status text.
+     * @param {Object<string,string>} [details.headers] - Response headers.
+     * @param {any} [details.body] - Response body, parsed as JSON when the server says so, otherwise text.
+     */
+    constructor(message, { status, statusText, headers, body, ...details }) {
+        super(message, details);
+        this.name = 'HttpError';
+        this.status = status;
+        this.statusText = statusText;
+        this.headers = headers;
+        this.body = body;
+    }
+}
+
+/**
+ * The request did not complete within its timeout.
+ * @class
+ */
+export class TimeoutError extends SuperFetchError {
+
+    /**
+     * @param {string} message - Error message.
+     * @param {Object} details - Same as SuperFetchError, plus the timeout below.
+     * @param {number} details.timeout - The timeout in milliseconds that was exceeded.
+     */
+    constructor(message, { timeout, ...details }) {
+        super(message, details);
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * The request was aborted before it completed, e.g. through `abortAll()`.
+ * @class
+ */
+export class AbortError extends SuperFetchError {
+
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * No response was received: DNS failure, refused connection, CORS rejection, offline, etc.
+ * @class
+ */
+export class NetworkError extends SuperFetchError {
+
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * The request input or the response did not match the schema of a resource endpoint.
+ * @class
+ */
+export class ValidationError extends SuperFetchError {
+
+    /**
+     * @param {string} message - Error message.
+     * @param {Object} details - Same as SuperFetchError, plus the data below.
+     * @param {'request'|'response'} details.target - Whether the input or the response was invalid.
+     * @param {ValidationIssue[]} details.issues - Every mismatch found.
+     */
+    constructor(message, { target, issues, ...details }) {
+        super(message, details);
+        this.name = 'ValidationError';
+        this.target = target;
+        this.issues = issues;
+    }
+}
+
+/**
+ * A value of the built-in schema language:
+ * - A type name: 'string', 'number', 'integer', 'boolean', 'array', 'object', 'null' or 'any'. A trailing '?'
+ *   makes it optional ('string?').
+ * - An array with one schema, for arrays whose items match it: ['string'].
+ * - An object literal, for objects whose properties match the given schemas: {name: 'string', age: 'integer?'}.
+ * - A rule object with a `$type` and constraints: {$type: 'string', min: 1, max: 50, pattern: /^[a-z]+$/}.
+ *   Constraints: optional, nullable, enum, min and max (value for numbers, length for strings and arrays),
+ *   pattern, items (arrays), properties and strict (objects; strict rejects unknown properties).
+ * - A function returning true when the value is valid, or an error message otherwise.
+ * @typedef {string|Array|Object|((value: any) => true|string)} Schema
+ */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - Where the mismatch is, e.g. "body.address.city" or "response[2].id".
+ * @property {string} message - What is wrong, e.g. "expected string, got number".
+ */
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null', 'any'];
+
+/**
+ * Turns any form of {@link Schema} (but functions) into a rule object.
+ * @param {Schema} schema - The schema.
+ * @returns {Object} The rule, with its type in `type`.
+ * @throws {Error} If the schema uses an unknown type.
+ */
+const normalizeSchema = schema => {
+
+    let rule;
+    if (typeof schema === 'string') {
+        rule = { type: schema.replace(/\?$/, ''), optional: schema.endsWith('?') };
+    } else if (Array.isArray(schema)) {
+        rule = { type: 'array', items: schema[0] ?? 'any' };
+    } else if (schema && typeof schema === 'object' && '$type' in schema) {
+        rule = { ...schema, type: schema.$type };
+    } else if (schema && typeof schema === 'object') {
+        rule = { type: 'object', properties: schema };
+    } else {
+        throw new Error(`Invalid schema: ${schema}`);
+    }
+
+    if (!SCHEMA_TYPES.includes(rule.type)) throw new Error(`Unknown schema type: ${rule.type}`);
+    return rule;
+};
+
+/**
+ * Checks a value against a {@link Schema}, collecting every mismatch instead of stopping at the first one.
+ * @param {Schema} schema - The schema.
+ * @param {any} value - The value to check.
+ * @param {string} path - Path of the value, used in the issues.
+ * @param {ValidationIssue[]} [issues=[]] - Array the issues are pushed to.
+ * @returns {ValidationIssue[]} The issues.
+ */
+const validateSchema = (schema, value, path, issues = []) => {
+
+    if (typeof schema === 'function') {
+        const result = schema(value);
+        if (result !== true) issues.push({ path, message: typeof result === 'string' ? result : 'is invalid' });
+        return issues;
+    }
+
+    const rule = normalizeSchema(schema);
+
+    if (value === undefined) {
+        if (!rule.optional && rule.type !== 'any') issues.push({ path, message: 'is required' });
+        return issues;
+    }
+
+    if (value === null) {
+        if (!rule.nullable && !['null', 'any'].includes(rule.type)) issues.push({ path, message: 'must not be null' });
+        return issues;
+    }
+
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    const matches = {
+        string: actual === 'string',
+        number: actual === 'number' && !isNaN(value),
+        integer: Number.isInteger(value),
+        boolean: actual === 'boolean',
+        array: actual === 'array',
+        object: actual === 'object',
+        null: false,
+        any: true,
+    }[rule.type];
+
+    if (!matches) {
+        issues.push({ path, message: `expected ${rule.type}, got ${actual}` });
+        return issues;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        issues.push({ path, message: `must be one of ${rule.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    }
+
+    const size = typeof value === 'number' ? value : value.length;
+    const unit = typeof value === 'number' ? '' : typeof value === 'string' ? ' characters' : ' items';
+    if (size !== undefined && rule.min !== undefined && size < rule.min) issues.push({ path, message: `must be at least ${rule.min}${unit}` });
+    if (size !== undefined && rule.max !== undefined && size > rule.max) issues.push({ path, message: `must be at most ${rule.max}${unit}` });
+
+    if (rule.pattern && typeof value === 'string' && !new RegExp(rule.pattern).test(value)) {
+        issues.push({ path, message: `must match ${rule.pattern}` });
+    }
+
+    if (rule.type === 'array' && rule.items !== undefined) {
+        value.forEach((item, i) => validateSchema(rule.items, item, `${path}[${i}]`, issues));
+    }
+
+    if (rule.type === 'object' && rule.properties) {
+        Object.entries(rule.properties).forEach(([key, propertySchema]) => validateSchema(propertySchema, value[key], `${path}.${key}`, issues));
+        if (rule.strict) {
+            Object.keys(value).filter(key => !(key in rule.properties)).forEach(key => issues.push({ path: `${path}.${key}`, message: 'is not allowed' }));
+        }
+    }
+
+    return issues;
+};
+
+/**
+ * Cache store backed by a Web Storage object such as `localStorage` or `sessionStorage`.
+ * Entries are stored as JSON, so only JSON-serializable responses survive a reload.
+ * Any object with `get`, `set`, `delete` and `keys` methods (a plain `Map` included) can be used instead.
+ * @class
+ * @example
+ * const api = new SuperFetch('https://api.example.com', {
+ *     cache: { store: new StorageCacheStore(localStorage), ttl: 60000 },
+ * });
+ */
+export class StorageCacheStore {
+
+    #storage;
+    #prefix;
+
+    /**
+     * @param {Storage} storage - The Web Storage object to write to.
+     * @param {string} [prefix='super-fetch:'] - Prefix added to every storage key.
+     */
+    constructor(storage, prefix = 'super-fetch:') {
+        this.#storage = storage;
+        this.#prefix = prefix;
+    }
+
+    get(key) {
+        const raw = this.#storage.getItem(this.#prefix + key);
+        return raw === null ? undefined : JSON.parse(raw);
+    }
+
+    set(key, entry) {
+        this.#storage.setItem(this.#prefix + key, JSON.stringify(entry));
+    }
+
+    delete(key) {
+        this.#storage.removeItem(this.#prefix + key);
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < this.#storage.length; i++) {
+            const key = this.#storage.key(i);
+            if (key?.startsWith(this.#prefix)) keys.push(key.slice(this.#prefix.length));
+        }
+        return keys;
+    }
+}
+
+/**
+ * Queue store backed by a Web Storage object such as `localStorage`. The queue is saved as JSON, so only
+ * requests with JSON-serializable bodies survive a reload. Any object with `load` and `save` methods can be
+ * used instead, e.g. one backed by IndexedDB.
+ * @class
+ * @example
+ * const api = new SuperFetch('https://api.example.com', {
+ *     offline: { store: new StorageQueueStore(localStorage) },
+ * });
+ */
+export class StorageQueueStore {
+
+    #storage;
+    #key;
+
+    /**
+     * @param {Storage} storage - The Web Storage object to write to.
+     * @param {string} [key='super-fetch:offline-queue'] - Storage key holding the queue.
+     */
+    constructor(storage, key = 'super-fetch:offline-queue') {
+        this.#storage = storage;
+        this.#key = key;
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(this.#storage.getItem(this.#key) ?? '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch {
+            // Corrupt data is dropped and overwritten on the next save
+            return [];
+        }
+    }
+
+    save(entries) {
+        this.#storage.setItem(this.#key, JSON.stringify(entries));
+    }
+}
+
+/**
+ * Persistent queue of mutating requests made while offline, replayed in order once connectivity returns.
+ * Created by SuperFetch when the `offline` option is set and exposed as `api.offlineQueue`.
+ * @class
+ * @example
+ * api.offlineQueue.entries.forEach(entry => console.log(entry.method, entry.path, entry.createdAt));
+ * api.offlineQueue.remove(entryId);
+ * await api.offlineQueue.replay();
+ */
+class OfflineQueue {
+
+    #send;
+    #store;
+    #methods;
+    #isOnline;
+    #onConflict;
+    #onReplay;
+    #entries;
+    #ready;
+    #replaying;
+
+    /**
+     * @param {(entry: QueuedRequest) => Promise<any>} send - Sends a queued request, rejecting with a SuperFetchError.
+     * @param {OfflineOptions} options - Queue options.
+     */
+    constructor(send, { store, methods = ['POST', 'PUT', 'PATCH', 'DELETE'], isOnline, onConflict, onReplay, onLoadError, idempotencyHeader = 'Idempotency-Key' }) {
+        this.#send = send;
+        this.#store = store || { entries: [], load() { return this.entries; }, save(entries) { this.entries = entries; } };
+        this.#methods = methods.map(method => method.toUpperCase());
+        this.#isOnline = isOnline || (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+        this.#onConflict = onConflict;
+        this.#onReplay = onReplay;
+        this.idempotencyHeader = idempotencyHeader;
+        this.#entries = [];
+        this.#replaying = null;
+        // A store that fails to load, synchronously or not, leaves the queue empty
+        this.#ready = new Promise(resolve => resolve(this.#store.load())).then(entries => {
+            this.#entries = [...(entries || []), ...this.#entries];
+        }).catch(error => {
+            onLoadError?.(error);
+        });
+    }
+
+    /**
+     * Copies of the queued requests, oldest first.
+     * @type {QueuedRequest[]}
+     */
+    get entries() {
+        return this.#entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * The number of queued requests.
+     * @type {number}
+     */
+    get size() {
+        return this.#entries.length;
+    }
+
+    /**
+     * Resolves once the persisted queue has been loaded.
+     * @type {Promise<void>}
+     */
+    get ready() {
+        return this.#ready;
+    }
+
+    /**
+     * Whether requests with this method can be queued.
+     * @param {string} method - HTTP method.
+     * @returns {boolean}
+     */
+    accepts(method) {
+        return this.#methods.includes(method);
+    }
+
+    /**
+     * Whether a new request must be queued instead of sent: when offline, or when older requests are still
+     * queued, so that the server receives them in order.
+     * @returns {Promise<boolean>}
+     */
+    async shouldQueue() {
+        await this.#ready;
+        return !this.#isOnline() || this.#entries.length > 0;
+    }
+
+    /**
+     * Appends a request to the queue and persists it. If online, a replay is started.
+     * The request is not kept when the store fails to save it.
+     * @param {Pick<QueuedRequest, 'method'|'path'|'data'|'headers'>} request - The request to queue.
+     * @returns {Promise<QueuedResult>}
+     */
+    async enqueue({ method, path, data, headers }) {
+        await this.#ready;
+        const entry = {
+            id: headers[this.idempotencyHeader],
+            method,
+            path,
+            data,
+            headers,
+            createdAt: Date.now(),
+            attempts: 0,
+            lastError: null,
+        };
+        this.#entries.push(entry);
+        try {
+            await this.#store.save(this.#entries);
+        } catch (err) {
+            this.#entries.splice(this.#entries.indexOf(entry), 1);
+            throw err;
+        }
+        if (this.#isOnline()) this.replay().catch(() => { /* kept for the next replay */ });
+        return { result: 'queued', id: entry.id };
+    }
+
+    /**
+     * Removes a queued request so it is never sent.
+     * @param {string} id - The id of the entry.
+     * @returns {Promise<boolean>} True if the entry was queued.
+     */
+    async remove(id) {
+        await this.#ready;
+        const index = this.#entries.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+        this.#entries.splice(index, 1);
+        await this.#store.save(this.#entries);
+        return true;
+    }
+
+    /**
+     * Removes every queued request.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.#ready;
+        this.#entries = [];
+        await this.#store.save(this.#entries);
+    }
+
+    /**
+     * Sends the queued requests in order, one at a time. Stops at the first request that fails because of
+     * the network or a 5xx status, keeping it for the next replay. Other HTTP errors go through `onConflict`.
+     * Calling it while a replay is running returns the running one.
+     * @returns {Promise<void>}
+     */
+    replay() {
+        this.#replaying ??= this.#replayAll().finally(() => this.#replaying = null);
+        return this.#replaying;
+    }
+
+    /**
+     * Body of `replay`.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async #replayAll() {
+
+        await this.#ready;
+        const rewritten = new Set();
+
+        while (this.#entries.length && this.#isOnline()) {
+
+            const entry = this.#entries[0];
+            entry.attempts++;
+
+            try {
+                const data = await this.#send(entry);
+                this.#entries.shift();
+                await this.#store.save(this.#entries);
+                this.#onReplay?.(entry, data);
+                continue;
+            } catch (err) {
+                entry.lastError = err.message;
+
+                if (!(err instanceof HttpError) || err.status >= 500) {
+                    await this.#store.save(this.#entries);
+                    if (err instanceof NetworkError || err instanceof TimeoutError || err instanceof HttpError) return;
+                    throw err;
+                }
+
+                const decision = (await this.#onConflict?.(entry, err)) ?? 'drop';
+
+                if (decision === 'keep') {
+                    await this.#store.save(this.#entries);
+                    return;
+                }
+
+                if (decision && typeof decision === 'object') {
+                    Object.assign(entry, { data: decision.data ?? entry.data, headers: { ...entry.headers, ...decision.headers } });
+                    await this.#store.save(this.#entries);
+                    // Sent again once per replay, so a handler that keeps rewriting cannot loop forever
+                    if (rewritten.has(entry)) return;
+                    rewritten.add(entry);
+                    continue;
+                }
+
+                this.#entries.shift();
+                await this.#store.save(this.#entries);
+            }
+        }
+    }
+}
+
+/**
+ * Token bucket combined with a concurrency cap. Waiting requests are served by priority, then in arrival order.
+ * Used internally by SuperFetch, one instance per host (and per route override).
+ * @class
+ */
+class RateLimiter {
+
+    #rate;
+    #interval;
+    #burst;
+    #concurrency;
+    #adaptive;
+    #tokens;
+    #refilledAt;
+    #pausedUntil;
+    #active;
+    #queue;
+    #sequence;
+    #timer;
+
+    /**
+     * @param {RateLimitOptions} [options]
+     */
+    constructor({ rate = Infinity, interval = 1000, burst = rate, concurrency = Infinity, adaptive = true } = {}) {
+        this.#rate = rate;
+        this.#interval = interval;
+        this.#burst = burst;
+        this.#concurrency = concurrency;
+        this.#adaptive = adaptive;
+        this.#tokens = burst;
+        this.#refilledAt = Date.now();
+        this.#pausedUntil = 0;
+        this.#active = 0;
+        this.#queue = [];
+        this.#sequence = 0;
+        this.#timer = null;
+    }
+
+    /**
+     * Waits for a free slot and a token.
+     * @param {number} [priority=0] - Requests with a higher priority are served first.
+     * @param {AbortSignal} [signal] - Removes the request from the queue when aborted.
+     * @returns {Promise<() => void>} Resolves with a function that frees the slot; rejects with an AbortError.
+     */
+    acquire(priority = 0, signal) {
+        return new Promise((resolve, reject) => {
+
+            const entry = { priority, sequence: this.#sequence++, resolve, signal, onAbort: null };
+            entry.onAbort = () => {
+                this.#queue.splice(this.#queue.indexOf(entry), 1);
+                reject(new DOMException('This operation was aborted', 'AbortError'));
+            };
+
+            if (signal?.aborted) return entry.onAbort();
+            signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+            const index = this.#queue.findIndex(queued => queued.priority < priority);
+            this.#queue.splice(index === -1 ? this.#queue.length : index, 0, entry);
+            this.#drain();
+        });
+    }
+
+    /**
+     * Adapts to the rate limit announced by the server: pauses on 429 (for Retry-After, or until the reset time)
+     * and when X-RateLimit-Remaining (or RateLimit-Remaining) reaches 0, and never spends more tokens than remain.
+     * @param {Response} response - A response received from the limited host.
+     */
+    observe(response) {
+
+        if (!this.#adaptive) return;
+
+        const header = name => response.headers.get(`X-RateLimit-${name}`) ?? response.headers.get(`RateLimit-${name}`);
+        const now = Date.now();
+        const remaining = parseInt(header('Remaining'));
+        const reset = Number(header('Reset'));
+        // Some APIs send the reset as epoch seconds, others as seconds from now
+        const resetAt = !header('Reset') || isNaN(reset) ? NaN : reset > 1e9 ? reset * 1000 : now + reset * 1000;
+
+        if (response.status === 429) {
+            const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+            this.#pause(!isNaN(retryAfter) ? now + retryAfter : !isNaN(resetAt) ? resetAt : now + this.#interval);
+        } else if (remaining <= 0 && !isNaN(resetAt)) {
+            this.#pause(resetAt);
+        }
+
+        if (!isNaN(remaining) && Number.isFinite(this.#rate)) {
+            this.#refill(now);
+            this.#tokens = Math.min(this.#tokens, Math.max(remaining, 0));
+        }
+    }
+
+    /**
+     * Stops serving requests until the given time.
+     * @private
+     * @param {number} until - Timestamp in milliseconds.
+     */
+    #pause(until) {
+        this.#pausedUntil = Math.max(this.#pausedUntil, until);
+        this.#drain();
+    }
+
+    /**
+     * Adds the tokens earned since the last refill. Without a rate there is no token accounting at all.
+     * @private
+     * @param {number} now - Current timestamp.
+     */
+    #refill(now) {
+        if (!Number.isFinite(this.#rate)) {
+            this.#tokens = Infinity;
+            this.#refilledAt = now;
+            return;
+        }
+        this.#tokens = Math.min(this.#burst, this.#tokens + (now - this.#refilledAt) * this.#rate / this.#interval);
+        this.#refilledAt = now;
+    }
+
+    /**
+     * Serves queued requests while slots and tokens allow, then schedules itself for the next token.
+     * @private
+     */
+    #drain() {
+
+        clearTimeout(this.#timer);
+        this.#timer = null;
+
+        while (this.#queue.length && this.#active < this.#concurrency) {
+
+            const now = Date.now();
+            this.#refill(now);
+
+            const wait = Math.max(this.#pausedUntil - now, this.#tokens >= 1 ? 0 : (1 - this.#tokens) * this.#interval / this.#rate);
+            if (wait > 0) {
+                this.#timer = setTimeout(() => this.#drain(), Math.ceil(wait));
+                return;
+            }
+
+            const entry = this.#queue.shift();
+            entry.signal?.removeEventListener('abort', entry.onAbort);
+            this.#tokens--;
+            this.#active++;
+
+            let released = false;
+            entry.resolve(() => {
+                if (released) return;
+                released = true;
+                this.#active--;
+                this.#drain();
+            });
+        }
+    }
+}
+
 /**
  * A versatile HTTP client for managing API requests with features like automatic retries, 
  * request aborting, timeout management, and customizable headers. It supports methods 
  * such as GET, POST, PUT, PATCH, and DELETE while enabling global or per-request 
  * configurations for logging, authorization tokens, and retry strategies.
+ * Request and response interceptors can be plugged in through `api.interceptors`.
  * 
  * @class
  * @author Raul Valverde Leal
  * @example
  * const api = new SuperFetch('http://localhost:3000', {timeout: 5000});
+ * 
+ * // Cache GET responses for 30s, then serve stale data for 5 more minutes while revalidating
+ * const cached = new SuperFetch('http://localhost:3000', {cache: {ttl: 30000, staleWhileRevalidate: 300000}});
+ * 
+ * // At most 10 requests per second and 4 at a time to each host
+ * const limited = new SuperFetch('https://api.example.com', {rateLimit: {rate: 10, concurrency: 4}});
+ * 
+ * // Ship structured request events to a telemetry pipeline
+ * const observed = new SuperFetch('https://api.example.com', {
+ *     observer: event => telemetry.track(`http.${event.type}`, event),
+ *     redact: ['x-api-key', 'password'],
+ * });
+ * 
+ * // Declare a resource with validated input and output
+ * api.define('users', {
+ *     get: {path: '/users/:id', params: {id: 'integer'}, response: {id: 'integer', name: 'string'}},
+ *     create: {method: 'POST', path: '/users', body: {name: {$type: 'string', min: 1}, email: 'string'}},
+ * });
+ * const user = await api.resource('users').get({id: 3});
+ * 
+ * // Queue mutations made while offline and send them once back online
+ * const field = new SuperFetch('https://api.example.com', {offline: {store: new StorageQueueStore(localStorage)}});
+ * const result = await field.post('/visits', visit); // {result: 'queued', id} while offline
+ * 
+ * // Cancel a single request
+ * const request = api.get('/search', {q: 'madrid'});
+ * request.cancel();
+ * 
+ * // Consume a server-sent events endpoint
+ * for await (const event of await api.post('/chat', {prompt}, {responseType: 'sse'})) {
+ *     if (event.data === '[DONE]') break;
+ *     render(JSON.parse(event.data));
+ * }
+ * 
+ * // Unwrap a `{data, meta}` envelope
+ * api.interceptors.response.use(body => body.data);
+ * 
+ * // Refresh the token once on 401 and replay the original request
+ * api.interceptors.response.use(null, async (error, context) => {
+ *     if (context.response?.status !== 401 || context.config.replays > 0) throw error;
+ *     api.token = await refreshToken();
+ *     return context.replay();
+ * });
  */
 export class SuperFetch {
 
-    #token;
-    #root;
-    #logRequests;
-    #defaultTimeout;
-    #defaultRetries;
-    #controllers;
+    #token;
+    #root;
+    #logRequests;
+    #defaultTimeout;
+    #defaultRetries;
+    #defaultRetryPolicy;
+    #throwErrors;
+    #controllers;
+    #signalCleanups;
+    #inflight;
+    #inflightMode;
+    #latest;
+    #interceptors;
+    #transport;
+    #rateLimit;
+    #rateLimiters;
+    #observer;
+    #correlationHeader;
+    #redactedFields;
+    #resources;
+    #offlineQueue;
+    #cacheStore;
+    #cachePolicy;
+    #revalidating;
+
+    /**
+     * @typedef {Object} SuperFetchOptions
+     * @property {string|null} [token] - Optional authorization token to be included in the Authorization header.
+     * @property {boolean} [logRequests=false] - If true, all requests will be logged to the console.
+     * @property {number} [timeout=0] - Default timeout in milliseconds for all requests; 0 disables timeout.
+     * @property {number} [retries=0] - Default number of retry attempts for failed requests.
+     * @property {Partial<RetryPolicy>} [retry] - Default retry policy, merged over the built-in one.
+     * @property {boolean} [throwErrors=false] - If true, failed requests reject with a {@link SuperFetchError}
+     * instead of resolving with `{result: 'nok', message}`.
+     * @property {CacheOptions & {store?: CacheStore}} [cache] - Enables caching of GET responses for every request.
+     * The store defaults to an in-memory Map.
+     * @property {InflightMode} [inflight='dedupe'] - What happens when an identical request is already in flight.
+     * @property {Transport|{fetch: Transport}} [transport] - Sends the requests instead of the global `fetch`,
+     * e.g. a {@link MockTransport} in tests.
+     * @property {RequestObserver} [observer] - Receives structured events for every request.
+     * @property {string|false} [correlationHeader] - Header carrying the correlation id of each request. Only sent
+     * when set or when an `observer` is given (then defaulting to X-Correlation-Id), as custom headers trigger CORS
+     * preflights; false stops sending it.
+     * @property {string[]} [redact] - Header and query parameter names (case-insensitive) hidden from observer events,
+     * on top of Authorization, Proxy-Authorization, Cookie and Set-Cookie.
+     * @property {OfflineOptions} [offline] - Queues mutating requests made while offline, or failing with a
+     * {@link NetworkError}, and replays them once connectivity returns. See `offlineQueue`.
+     * @property {RateLimitOptions & {perHost?: boolean, routes?: RateLimitRoute[]}} [rateLimit] - Client-side
+     * rate limiting. Limits apply to each host separately unless `perHost` is false. Every attempt, retries
+     * included, waits for its turn before its timeout starts.
+     */
+
+    /**
+     * @typedef {Object} OfflineOptions
+     * @property {{load: () => QueuedRequest[]|Promise<QueuedRequest[]>, save: (entries: QueuedRequest[]) => any}} [store] -
+     * Where the queue is persisted; in memory by default. See {@link StorageQueueStore}.
+     * @property {string[]} [methods=['POST','PUT','PATCH','DELETE']] - Methods that are queued.
+     * @property {() => boolean} [isOnline] - Connectivity check; `navigator.onLine` by default.
+     * @property {boolean} [autoReplay=true] - Replays the queue when the browser fires the "online" event.
+     * @property {string} [idempotencyHeader='Idempotency-Key'] - Header carrying a unique key for each queueable
+     * request, kept across replays so that the server can discard duplicates.
+     * @property {(entry: QueuedRequest, error: HttpError) => 'drop'|'keep'|{data?: any, headers?: Object}|Promise<any>} [onConflict] -
+     * Called when a replayed request fails with a 4xx status. "drop" (the default) discards it, "keep" leaves it
+     * queued and stops the replay, an object replaces its data and/or headers and sends it again. An entry is only
+     * sent again once per replay: rewriting it a second time keeps it for the next replay.
+     * @property {(entry: QueuedRequest, data: any) => void} [onReplay] - Called after a queued request succeeds.
+     * @property {(error: Error) => void} [onLoadError] - Called when the store fails to load the queue, which then
+     * starts empty.
+     */
+
+    /**
+     * @typedef {Object} QueuedRequest
+     * @property {string} id - The idempotency key of the request, also used to remove it.
+     * @property {string} method - HTTP method.
+     * @property {string} path - Endpoint path or full URL.
+     * @property {any} data - The payload, as given by the caller.
+     * @property {Object<string,string>} headers - The per-request headers, idempotency key included.
+     * @property {number} createdAt - When it was queued, in milliseconds since the epoch.
+     * @property {number} attempts - Number of replays attempted.
+     * @property {string|null} lastError - Message of the last replay failure.
+     */
+
+    /**
+     * The value a queued request resolves with.
+     * @typedef {{result: 'queued', id: string}} QueuedResult
+     */
+
+    /**
+     * @typedef {Object} RateLimitOptions
+     * @property {number} [rate=Infinity] - Requests allowed per `interval`.
+     * @property {number} [interval=1000] - Length of the rate window in milliseconds.
+     * @property {number} [burst=rate] - Requests that may be sent at once after an idle period.
+     * @property {number} [concurrency=Infinity] - Requests allowed in flight at the same time.
+     * @property {boolean} [adaptive=true] - Slows down on 429 responses and follows the X-RateLimit-Remaining
+     * and X-RateLimit-Reset headers (or their RateLimit-* equivalents).
+     */
+
+    /**
+     * Limits for the requests whose path matches, used instead of the global ones.
+     * @typedef {RateLimitOptions & {match: string|RegExp|((config: RequestConfig) => boolean)}} RateLimitRoute
+     */
+
+    /**
+     * Receives a {@link RequestEvent} for every step of every attempt. Either a function, or an object with
+     * optional `onRequest`, `onResponse`, `onRetry`, `onAbort` and `onError` methods.
+     * Errors thrown by the observer are reported to the console and never affect the request.
+     * @typedef {((event: RequestEvent) => void)|Object<string, (event: RequestEvent) => void>} RequestObserver
+     */
+
+    /**
+     * A structured record of one step of a request. Redacted headers and query parameters read "[REDACTED]".
+     * @typedef {Object} RequestEvent
+     * @property {'request'|'response'|'retry'|'abort'|'error'} type - "request" when an attempt is sent, "response"
+     * when it succeeds, "retry" before waiting for the next attempt, "abort" and "error" when the request ends.
+     * @property {string} correlationId - Identifies every event (and replay) of a request; also sent as a header.
+     * @property {string} method - HTTP method.
+     * @property {string} url - Full URL, with sensitive query parameters redacted.
+     * @property {string} path - Endpoint path as given by the caller.
+     * @property {number} attempt - The attempt number, starting at 1.
+     * @property {number} timestamp - When the event happened, in milliseconds since the epoch.
+     * @property {EventTiming} timing - Durations of the attempt.
+     * @property {{headers: Object<string,string>, size: number|null}} request - Sent headers and body size in bytes.
+     * @property {{status: number, headers: Object<string,string>, size: number|null}|null} response - Received status,
+     * headers and body size in bytes (Content-Length when the body was not read).
+     * @property {{name: string, message: string, status?: number}|null} error - The failure, if any.
+     * @property {number} [delay] - "retry" only: milliseconds before the next attempt.
+     */
+
+    /**
+     * Durations in milliseconds. Steps the attempt did not reach are undefined.
+     * @typedef {Object} EventTiming
+     * @property {number} [queued] - Time waiting for the rate limiter.
+     * @property {number} [ttfb] - Time from sending the request to receiving the response headers.
+     * @property {number} [download] - Time reading the response body.
+     * @property {number} total - Time since the attempt started.
+     */
+
+    /**
+     * A function with the signature of `fetch`, receiving the final URL and RequestInit.
+     * @typedef {(url: string, init: RequestInit) => Promise<Response>} Transport
+     */
+
+    /**
+     * How a request behaves when another one with the same method and URL is in flight.
+     * - "dedupe": GET and HEAD requests with the same credentials, Accept header and options share the pending call;
+     *   other methods run in parallel.
+     * - "latest": the pending request is aborted and only the newest one completes.
+     * - "parallel": every request performs its own network call.
+     * @typedef {'dedupe'|'latest'|'parallel'} InflightMode
+     */
+
+    /**
+     * A Promise returned by the request methods, with a way to cancel that single request.
+     * @typedef {Promise<any> & {cancel: (reason?: any) => void}} CancelablePromise
+     */
+
+    /**
+     * How the response body is read.
+     * - "auto": picked from the Content-Type (JSON, text, Blob or ArrayBuffer).
+     * - "json", "text", "blob", "arrayBuffer": read with the matching Response method.
+     * - "stream": resolves with the raw `ReadableStream<Uint8Array>`.
+     * - "ndjson": resolves with an async iterator yielding every parsed line of newline-delimited JSON.
+     * - "sse": resolves with an async iterator yielding every `text/event-stream` event as a {@link ServerSentEvent}.
+     * Streaming types are never cached nor deduplicated. Leaving the `for await` loop, cancelling the stream or
+     * calling the request's `cancel()` closes the connection.
+     * @typedef {'auto'|'json'|'text'|'blob'|'arrayBuffer'|'stream'|'ndjson'|'sse'} ResponseType
+     */
+
+    /**
+     * @typedef {Object} ServerSentEvent
+     * @property {string} event - Event type; "message" when the server does not set one.
+     * @property {string} data - Event data, with multiple data lines joined by "\n".
+     * @property {string} [id] - Last event id.
+     * @property {number} [retry] - Reconnection time requested by the server, in milliseconds.
+     */
+
+    /**
+     * @typedef {Object} ProgressEvent
+     * @property {number} loaded - Bytes transferred so far.
+     * @property {number|null} total - Total bytes, or null if unknown (no Content-Length, compressed bodies...).
+     * @property {number|null} progress - `loaded / total` between 0 and 1, or null if the total is unknown.
+     */
 
     /**
-     * @typedef {Object} SuperFetchOptions
-     * @property {string|null} [token] - Optional authorization token to be included in the Authorization header.
-     * @property {boolean} [logRequests=false] - If true, all requests will be logged.
-     * @property {number} [timeout=0] - Default timeout in milliseconds for all requests; 0 disables timeout.
-     * @property {number} [retries=0] - Default number of retry attempts for failed requests.
+     * @typedef {Object} CacheOptions
+     * @property {number} [ttl=0] - Milliseconds a response is served without contacting the server. With 0, every
+     * call revalidates, which still saves the download when the server answers 304 to ETag/Last-Modified.
+     * @property {number} [staleWhileRevalidate=0] - Milliseconds after the ttl during which the stale response is
+     * returned immediately while a background request refreshes it.
+     * @property {string} [key] - Cache key for this request. Defaults to the full URL, query string included,
+     * followed by a hash of the Authorization header and response type when present, so that users and
+     * representations never share entries. A custom key is used as is.
+     */
+
+    /**
+     * Storage used by the response cache. Methods may return Promises. A `Map` fulfils this interface.
+     * @typedef {Object} CacheStore
+     * @property {(key: string) => CacheEntry|undefined|Promise<CacheEntry|undefined>} get
+     * @property {(key: string, entry: CacheEntry) => any} set
+     * @property {(key: string) => any} delete
+     * @property {() => Iterable<string>|Promise<Iterable<string>>} keys
+     */
+
+    /**
+     * @typedef {Object} CacheEntry
+     * @property {any} data - The parsed response body, before response interceptors run.
+     * @property {string|null} etag - Value of the ETag response header.
+     * @property {string|null} lastModified - Value of the Last-Modified response header.
+     * @property {number} expiresAt - Timestamp (ms) until which the entry is fresh.
+     */
+
+    /**
+     * Decides which failures are retried and how long to wait between attempts.
+     * Network errors and timeouts are retryable; HTTP errors only when their status is listed.
+     * @typedef {Object} RetryPolicy
+     * @property {string[]} [methods=['GET','HEAD','OPTIONS','PUT','DELETE']] - Methods that may be retried.
+     * @property {number[]} [statuses=[408,425,429,500,502,503,504]] - Response statuses that may be retried.
+     * @property {number} [baseDelay=300] - Delay in milliseconds before the first retry.
+     * @property {number} [factor=2] - Multiplier applied to the delay after every attempt.
+     * @property {number} [maxDelay=30000] - Upper bound for any delay, Retry-After included.
+     * @property {'full'|'equal'|'none'} [jitter='full'] - "full" waits a random time up to the delay,
+     * "equal" waits half the delay plus a random half, "none" waits the exact delay.
+     * @property {boolean} [retryAfter=true] - Honors the Retry-After header of 429 and 503 responses.
+     * @property {((info: RetryInfo) => boolean|void|Promise<boolean|void>)|null} [onRetry] - Called before
+     * waiting for a retry; returning false gives up and fails with the current error.
+     */
+
+    /**
+     * @typedef {Object} RetryInfo
+     * @property {number} attempt - The attempt that just failed, starting at 1.
+     * @property {number} delay - Milliseconds that will be waited before the next attempt.
+     * @property {SuperFetchError} error - The failure of the attempt.
+     * @property {Response|null} response - The response of the attempt, if any arrived.
+     * @property {RequestConfig} config - The config of the request.
      */
 
     /**
@@ -32,9 +1078,59 @@ export class SuperFetch {
      * @property {number} [timeout] - Timeout in milliseconds for this request; overrides default timeout.
      * @property {boolean} [log] - If true, forces logging for this request regardless of global "logRequests" setting.
      * @property {number} [retries] - Number of retry attempts for this request; overrides default retries.
+     * @property {Partial<RetryPolicy>} [retry] - Retry policy for this request, merged over the default one.
+     * @property {boolean} [throwErrors] - Rejects with a {@link SuperFetchError} on failure; overrides the global setting.
+     * @property {boolean|CacheOptions} [cache] - GET only. false bypasses the cache, true or an object enables it
+     * for this request, merging the object over the global cache options.
+     * @property {InflightMode} [inflight] - Behavior with identical in-flight requests; overrides the global setting.
+     * @property {AbortSignal} [signal] - External signal that cancels this request when aborted.
+     * @property {ResponseType} [responseType='auto'] - How the response body is read.
+     * @property {(event: ProgressEvent) => void} [onDownloadProgress] - Called for every chunk of the response body.
+     * @property {(event: ProgressEvent) => void} [onUploadProgress] - Called for every slice of the request body handed
+     * to the network. Requires request streaming support (`duplex: 'half'`); browsers only allow it over HTTP/2.
+     * @property {number} [priority=0] - Requests with a higher priority leave the rate limit queue first.
+     * @property {boolean} [rateLimit=true] - Set to false to bypass client-side rate limiting.
+     * @property {string} [correlationId] - Correlation id of this request; generated if omitted.
+     * @property {boolean} [offline=true] - Set to false to never queue this request when offline.
      * @property {Object<string,string>} [headers] - Additional HTTP headers to include (e.g., Content-Type, Accept).
      */
 
+    /**
+     * @typedef {Object} RequestConfig
+     * @property {string} method - HTTP method.
+     * @property {string} path - Endpoint path as given by the caller.
+     * @property {string} url - Fully qualified URL, query string included.
+     * @property {Object|string|FormData|Blob|null} data - Payload (or query parameters for GET) as given by the caller.
+     * @property {Object<string,string>} headers - Headers to send; interceptors may add or remove entries.
+     * @property {BodyInit|undefined} body - Encoded request body.
+     * @property {number} timeout - Timeout in milliseconds for each attempt.
+     * @property {number} retries - Number of retry attempts.
+     * @property {RetryPolicy} retry - Retry policy for this request.
+     * @property {boolean} [log] - Forces logging for this request.
+     * @property {number} replays - How many times this request has been replayed by a response interceptor.
+     * @property {Required<CacheOptions>|null} cache - Cache options for this request, null when it is not cached.
+     * @property {InflightMode} inflight - Behavior with identical in-flight requests.
+     * @property {ResponseType} responseType - How the response body is read.
+     * @property {((event: ProgressEvent) => void)|undefined} onDownloadProgress - Download progress callback.
+     * @property {((event: ProgressEvent) => void)|undefined} onUploadProgress - Upload progress callback.
+     * @property {number} priority - Priority in the rate limit queue.
+     * @property {boolean} rateLimit - Whether client-side rate limiting applies.
+     * @property {string} correlationId - Correlation id of this request.
+     */
+
+    /**
+     * @typedef {Object} ResponseContext
+     * @property {RequestConfig} config - The config the last attempt was sent with.
+     * @property {Response|null} response - The last received Response, or null if none arrived.
+     * @property {boolean} fromCache - True when the body was served from the cache without a network round trip.
+     * @property {AbortSignal} signal - Aborts when the request is cancelled.
+     * @property {(overrides?: RequestOptions) => Promise<any>} replay - Rebuilds the config (running the request
+     * interceptors again) and sends the original request once more, with the same timeout and retry settings.
+     * The new response goes through every response interceptor, so it is processed exactly like a normal one,
+     * and whatever it resolves or rejects with becomes the result of the request: the interceptors after the
+     * one that called `replay` are skipped. Check `config.replays` to avoid replaying forever.
+     */
+
     /**
      * Creates an instance of SuperFetch.
      * @param {string} root - The base URL for all HTTP requests (e.g., https://api.example.com).
@@ -51,110 +1147,900 @@ export class SuperFetch {
         this.#logRequests = options.logRequests || false;
         this.#defaultTimeout = options.timeout || 0;
         this.#defaultRetries = options.retries || 0;
-        this.#controllers = new Map();
+        this.#defaultRetryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+        this.#throwErrors = options.throwErrors || false;
+        this.#transport = typeof options.transport?.fetch === 'function' ?
+            options.transport.fetch.bind(options.transport) :
+            options.transport || ((url, init) => fetch(url, init));
+        this.#rateLimit = options.rateLimit || null;
+        this.#rateLimiters = new Map();
+        this.#observer = options.observer || null;
+        this.#correlationHeader = options.correlationHeader ?? (this.#observer ? 'X-Correlation-Id' : false);
+        this.#resources = new Map();
+        this.#offlineQueue = null;
+
+        if (options.offline) {
+            this.#offlineQueue = new OfflineQueue(entry => this.#request(entry.method, entry.path, entry.data, {
+                headers: entry.headers,
+                throwErrors: true,
+                offline: false,
+            }), options.offline);
+
+            if (options.offline.autoReplay !== false && typeof window !== 'undefined') {
+                window.addEventListener('online', () => this.#offlineQueue.replay().catch(() => { /* kept for the next replay */ }));
+            }
+        }
+        this.#redactedFields = new Set([...DEFAULT_REDACTED_FIELDS, ...(options.redact || [])].map(field => field.toLowerCase()));
+
+        const { store, ...cachePolicy } = options.cache || {};
+        this.#cacheStore = store || new Map();
+        this.#cachePolicy = options.cache ? cachePolicy : null;
+        this.#revalidating = new Set();
+        this.#controllers = new Set();
+        this.#signalCleanups = new WeakMap();
+        this.#inflight = new Map();
+        this.#inflightMode = options.inflight || 'dedupe';
+        this.#latest = new Map();
+        this.#interceptors = Object.freeze({
+            request: new InterceptorManager(),
+            response: new InterceptorManager(),
+        });
     }
 
     /**
-     * Performs an HTTP request with support for timeout, abort, retry, and custom headers.
+     * Starts a request and gives the returned promise a `cancel` method.
      * @private
      * @param {string} method - HTTP method (GET, POST, PUT, DELETE).
      * @param {string} path - Endpoint path appended to the base URL.
      * @param {Object|string|null} [data=null] - Request payload for non-GET methods. If string, sent as-is; otherwise JSON-stringified.
      * @param {RequestOptions} [opts={}] - Per-request options overriding defaults.
-     * @returns {Promise<any>} Resolves with parsed JSON response on 2xx; rejects with Error on failure.
-     * @throws {Error} Throws if the request is aborted, times out, or exhausts all retries without success.
+     * @param {{config?: RequestConfig, response?: Response|null}} [meta] - Receives the final config and response.
+     * @returns {CancelablePromise} Resolves with the parsed response on 2xx. On failure, resolves with
+     * `{result: 'nok', message}`, or rejects with the error when `throwErrors` is enabled. Requests put in the
+     * offline queue resolve with a {@link QueuedResult}.
      */
-    async #request(method, path, data = null, opts = {}) {
+    #request(method, path, data = null, opts = {}, meta = null) {
 
-        const url = this.#buildUrl(path, method === 'GET' ? data : null);
-        const controller = this.#createAbortController(`${method}::${url}`)
-        
-        const timeoutMs = opts.timeout ?? this.#defaultTimeout;
-        const attempts = 1 + (opts.retries ?? this.#defaultRetries);
+        const controller = this.#createAbortController();
+        const cancel = reason => controller.abort(reason);
+
+        if (opts.signal?.aborted) cancel(opts.signal.reason);
+        if (opts.signal) {
+            opts.signal.addEventListener('abort', cancel);
+            this.#signalCleanups.set(controller.signal, () => opts.signal.removeEventListener('abort', cancel));
+        }
+
+        const promise = this.#execute(method, path, data, opts, controller, meta).finally(() => {
+            // A streamed body is still being read after the promise resolves, it takes the cleanup over
+            this.#signalCleanups.get(controller.signal)?.();
+            this.#signalCleanups.delete(controller.signal);
+            this.#controllers.delete(controller);
+        });
+        promise.cancel = cancel;
+        return promise;
+    }
+
+    /**
+     * Runs a request through the request interceptors, the transport and the response interceptors.
+     * @private
+     * @param {string} method - HTTP method.
+     * @param {string} path - Endpoint path appended to the base URL.
+     * @param {Object|string|null} data - Request payload, or query parameters for GET.
+     * @param {RequestOptions} opts - Per-request options overriding defaults.
+     * @param {AbortController} controller - Controller that cancels this request.
+     * @param {{config?: RequestConfig, response?: Response|null}|null} meta - Receives the final config and response.
+     * @returns {Promise<any>}
+     */
+    async #execute(method, path, data, opts, controller, meta) {
+
+        const queue = this.#offlineQueue;
+        const queueable = Boolean(queue?.accepts(method)) && opts.offline !== false;
+
+        if (queueable) {
+            opts = { ...opts, headers: { [queue.idempotencyHeader]: this.#createCorrelationId(), ...opts.headers } };
+        }
+
+        const throwErrors = opts.throwErrors ?? this.#throwErrors;
+        const context = { config: null, response: null, fromCache: false, signal: controller.signal, replay: null };
+        const runs = [];
+        let latestKey;
+
+        context.replay = async (overrides = {}) => {
+            const caller = runs[runs.length - 1];
+            try {
+                const replayOpts = { ...opts, correlationId: context.config.correlationId, ...overrides };
+                const config = this.#createConfig(method, path, data, replayOpts, context.config.replays + 1);
+                context.config = await this.#chain(this.#interceptors.request, Promise.resolve(config));
+                context.response = null;
+                context.fromCache = false;
+                return await this.#respond(this.#share(context), context, runs);
+            } finally {
+                if (caller) caller.replayed = true;
+            }
+        };
+
+        try {
+            // A queue whose store fails to load or save falls back to sending the request
+            if (queueable && await queue.shouldQueue().catch(() => false)) {
+                const queued = await queue.enqueue({ method, path, data, headers: opts.headers }).catch(() => null);
+                if (queued) return queued;
+            }
+
+            const config = this.#createConfig(method, path, data, opts, 0);
+            context.config = await this.#chain(this.#interceptors.request, Promise.resolve(config));
+
+            if (context.config.inflight === 'latest') {
+                latestKey = `${context.config.method}::${context.config.url}`;
+                this.#latest.get(latestKey)?.abort();
+                this.#latest.set(latestKey, controller);
+            }
+
+            return await this.#respond(this.#share(context), context, runs);
+        } catch (err) {
+            if (queueable && err instanceof NetworkError) {
+                const queued = await queue.enqueue({ method, path, data, headers: opts.headers }).catch(() => null);
+                if (queued) return queued;
+            }
+            if (throwErrors) throw err;
+            return { result: 'nok', message: this.#getLegacyMessage(err) }
+        } finally {
+            if (latestKey && this.#latest.get(latestKey) === controller) this.#latest.delete(latestKey);
+            if (meta) Object.assign(meta, { config: context.config, response: context.response });
+        }
+    }
+
+    /**
+     * Sends a request, joining an identical in-flight GET or HEAD request when deduplication is enabled.
+     * The shared network call is only aborted once every request waiting on it has been cancelled.
+     * @private
+     * @param {ResponseContext} context - Holds the config to send; the received Response is stored back on it.
+     * @returns {Promise<any>} The parsed response body.
+     */
+    async #share(context) {
+
+        const { method, url } = context.config;
+        const key = this.#getShareKey(context.config);
+        if (!key) return this.#send(context);
+
+        let shared = this.#inflight.get(key);
+
+        if (!shared) {
+            const controller = this.#createAbortController();
+            const sharedContext = { ...context, response: null, fromCache: false, signal: controller.signal };
+            shared = { controller, context: sharedContext, subscribers: 0, promise: this.#send(sharedContext) };
+            shared.promise.catch(() => { /* handled by every subscriber */ }).finally(() => {
+                this.#controllers.delete(controller);
+                if (this.#inflight.get(key) === shared) this.#inflight.delete(key);
+            });
+            this.#inflight.set(key, shared);
+        }
+
+        shared.subscribers++;
+        let subscribed = true;
+
+        const unsubscribe = () => {
+            if (!subscribed) return;
+            subscribed = false;
+            if (--shared.subscribers > 0) return;
+            // Forgotten right away, so that a request made just after the last cancel does not join an aborted call
+            if (this.#inflight.get(key) === shared) this.#inflight.delete(key);
+            shared.controller.abort();
+        };
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    unsubscribe();
+                    reject(new AbortError(`${method} ${url} was aborted`, { method, url }));
+                };
+                if (context.signal.aborted) return onAbort();
+                context.signal.addEventListener('abort', onAbort, { once: true });
+                // Every subscriber gets its own copy, so response interceptors may modify the body
+                shared.promise.then(value => resolve(this.#clone(value)), reject).finally(() => context.signal.removeEventListener('abort', onAbort));
+            });
+        } finally {
+            unsubscribe();
+            context.response = shared.context.response;
+            context.fromCache = shared.context.fromCache;
+        }
+    }
+
+    /**
+     * Returns the key under which identical in-flight requests share one network call, or null if the request
+     * must get its own. Requests for another user or representation of the same URL, or with other per-request
+     * options, are never shared; neither are requests reporting download progress or with their own `onRetry`.
+     * @private
+     * @param {RequestConfig} config - The config of the request.
+     * @returns {string|null}
+     */
+    #getShareKey(config) {
+
+        const { method, url, inflight, responseType, timeout, retries, retry, cache, priority, rateLimit } = config;
+
+        if (inflight !== 'dedupe' || !['GET', 'HEAD'].includes(method) || STREAMING_RESPONSE_TYPES.includes(responseType)) return null;
+        if (config.onDownloadProgress || retry.onRetry !== this.#defaultRetryPolicy.onRetry) return null;
+
+        const options = JSON.stringify({ timeout, retries, retry, cache, priority, rateLimit });
+        return `${method}::${url}::${this.#getVariant(config)}::${options}`;
+    }
+
+    /**
+     * Builds the message of a `{result: 'nok'}` value, keeping the format used before typed errors existed.
+     * @private
+     * @param {Error} err - The failure of the request.
+     * @returns {string}
+     */
+    #getLegacyMessage(err) {
+        if (!(err instanceof HttpError)) return err.message;
+        const errorDetails = {
+            status: err.status,
+            statusText: err.statusText,
+            headers: err.headers,
+            body: typeof err.body === 'string' ? err.body : JSON.stringify(err.body),
+        };
+        return `Request failed: ${JSON.stringify(errorDetails)}`;
+    }
+
+    /**
+     * Builds the config handed to the request interceptors: URL, headers and encoded body.
+     * @private
+     * @param {string} method - HTTP method.
+     * @param {string} path - Endpoint path appended to the base URL.
+     * @param {Object|string|null} data - Request payload, or query parameters for GET.
+     * @param {RequestOptions} opts - Per-request options.
+     * @param {number} replays - Number of previous replays of this request.
+     * @returns {RequestConfig}
+     */
+    #createConfig(method, path, data, opts, replays) {
+
+        const responseType = opts.responseType || 'auto';
+        const accept = { ndjson: 'application/x-ndjson', sse: 'text/event-stream' }[responseType];
+
+        const correlationId = opts.correlationId ?? this.#createCorrelationId();
+
+        const headers = {
+            ...(accept ? { Accept: accept } : {}),
+            ...(this.#correlationHeader ? { [this.#correlationHeader]: correlationId } : {}),
+            ...(this.#token ? { Authorization: `Bearer ${this.#token}` } : {}),
+            ...(opts.token ? { Authorization: `Bearer ${opts.token}` } : {}),
+            ...(opts.headers || {}),
+        };
+
+        let body;
+        let contentType;
+
+        if (method !== 'GET') {
+            if (data instanceof FormData) {
+                contentType = 'multipart/form-data';
+                body = data;
+            } else if (data instanceof Blob) {
+                contentType = data.type || 'application/octet-stream';
+                body = data;
+            } else if (data && typeof data === 'object') {
+                contentType = 'application/json';
+                body = JSON.stringify(data);
+            } else if (typeof data === 'string') {
+                contentType = 'text/plain';
+                body = data;
+            }
+        }
+
+        return {
+            method,
+            path,
+            url: this.#buildUrl(path, method === 'GET' ? data : null),
+            data,
+            headers: {
+                ...(contentType ? { 'Content-Type': contentType } : {}),
+                ...headers,
+            },
+            body,
+            timeout: opts.timeout ?? this.#defaultTimeout,
+            retries: opts.retries ?? this.#defaultRetries,
+            retry: { ...this.#defaultRetryPolicy, ...opts.retry },
+            log: opts.log,
+            replays,
+            cache: method === 'GET' && !STREAMING_RESPONSE_TYPES.includes(responseType) ? this.#getCachePolicy(opts.cache) : null,
+            inflight: opts.inflight ?? this.#inflightMode,
+            responseType,
+            onDownloadProgress: opts.onDownloadProgress,
+            onUploadProgress: opts.onUploadProgress,
+            priority: opts.priority ?? 0,
+            rateLimit: opts.rateLimit ?? true,
+            correlationId,
+        };
+    }
+
+    /**
+     * Resolves the cache options of a request from the global ones and the per-request override.
+     * @private
+     * @param {boolean|CacheOptions} [override] - The `cache` request option.
+     * @returns {Required<CacheOptions>|null} The options, or null if the request is not cached.
+     */
+    #getCachePolicy(override) {
+        if (override === false || (!override && !this.#cachePolicy)) return null;
+        return {
+            ttl: 0,
+            staleWhileRevalidate: 0,
+            key: null,
+            ...this.#cachePolicy,
+            ...(typeof override === 'object' ? override : {}),
+        };
+    }
+
+    /**
+     * Serves a request from the cache when possible, otherwise dispatches it.
+     * Fresh entries are returned as they are; stale entries within the stale-while-revalidate window are
+     * returned while a background request refreshes them; anything else is revalidated before returning.
+     * @private
+     * @param {ResponseContext} context - Holds the config to send.
+     * @returns {Promise<any>} The parsed response body.
+     */
+    async #send(context) {
+
+        const { cache, url } = context.config;
+        if (!cache) return this.#dispatch(context);
+
+        const variant = this.#getVariant(context.config);
+        const key = cache.key ?? (variant ? `${url} ${variant}` : url);
+        const entry = await this.#cacheStore.get(key);
+        const now = Date.now();
+
+        if (entry && now < entry.expiresAt) {
+            context.fromCache = true;
+            return this.#clone(entry.data);
+        }
+
+        if (entry && now < entry.expiresAt + cache.staleWhileRevalidate) {
+            if (!this.#revalidating.has(key)) {
+                this.#revalidating.add(key);
+                const controller = this.#createAbortController();
+                this.#revalidate({ config: context.config, response: null, signal: controller.signal }, key, entry)
+                    .catch(() => { /* the stale entry stays until the next attempt */ })
+                    .finally(() => {
+                        this.#controllers.delete(controller);
+                        this.#revalidating.delete(key);
+                    });
+            }
+            context.fromCache = true;
+            return this.#clone(entry.data);
+        }
+
+        return this.#revalidate(context, key, entry);
+    }
+
+    /**
+     * Dispatches a request, conditionally if there is a previous entry, and stores the outcome in the cache.
+     * @private
+     * @param {ResponseContext} context - Holds the config to send.
+     * @param {string} key - The cache key.
+     * @param {CacheEntry} [entry] - The current entry, used for If-None-Match / If-Modified-Since.
+     * @returns {Promise<any>} The new body, or the cached one if the server answered 304.
+     */
+    async #revalidate(context, key, entry) {
+
+        const { cache, headers } = context.config;
+
+        if (entry?.etag || entry?.lastModified) {
+            context.config = {
+                ...context.config,
+                headers: {
+                    ...(entry.etag ? { 'If-None-Match': entry.etag } : {}),
+                    ...(entry.lastModified ? { 'If-Modified-Since': entry.lastModified } : {}),
+                    ...headers,
+                },
+            };
+        }
+
+        const data = await this.#dispatch(context, entry);
+        const response = context.response;
+
+        if (response.headers.get('Cache-Control')?.includes('no-store')) {
+            await this.#cacheStore.delete(key);
+            return data;
+        }
+
+        const notModified = response.status === 304;
+        // The caller gets `data` and the cache keeps a copy, so response interceptors may modify the body
+        await this.#cacheStore.set(key, {
+            data: this.#clone(data),
+            etag: response.headers.get('ETag') ?? (notModified ? entry.etag : null),
+            lastModified: response.headers.get('Last-Modified') ?? (notModified ? entry.lastModified : null),
+            expiresAt: Date.now() + cache.ttl,
+        });
+
+        return data;
+    }
+
+    /**
+     * Removes cached responses.
+     * @param {string} [path] - Path or full URL of the entry to remove. If omitted, the whole cache is cleared.
+     * @param {Object} [options]
+     * @param {Object} [options.params] - Query parameters, serialized the same way as in `get`.
+     * @param {boolean} [options.prefix=false] - Removes every entry whose key starts with the resolved URL.
+     * @returns {Promise<void>}
+     * @example
+     * await api.invalidateCache('/users/3');
+     * await api.invalidateCache('/users', { prefix: true }); // '/users', '/users?page=2', '/users/3'...
+     */
+    async invalidateCache(path, { params, prefix = false } = {}) {
+
+        const target = path === undefined ? '' : this.#buildUrl(path, params);
+
+        for (const key of [...await this.#cacheStore.keys()]) {
+            const matches = !target || prefix ? key.startsWith(target) : key === target || key.startsWith(`${target} `);
+            if (matches) await this.#cacheStore.delete(key);
+        }
+    }
+
+    /**
+     * Chains the handlers of an interceptor manager onto a promise.
+     * @private
+     * @param {InterceptorManager} manager - The interceptors to apply.
+     * @param {Promise<any>} promise - The initial value or failure.
+     * @param {...any} args - Extra arguments passed to every handler after the value or error.
+     * @returns {Promise<any>}
+     */
+    #chain(manager, promise, ...args) {
+        manager.forEach(({ onFulfilled, onRejected }) => {
+            promise = promise.then(
+                onFulfilled && (value => onFulfilled(value, ...args)),
+                onRejected && (error => onRejected(error, ...args)),
+            );
+        });
+        return promise;
+    }
+
+    /**
+     * Runs a response through the response interceptors. Once an interceptor has called `context.replay`,
+     * the following ones are skipped: the replayed response already went through all of them.
+     * @private
+     * @param {Promise<any>} promise - The parsed body or failure of the request.
+     * @param {ResponseContext} context - Passed to every handler.
+     * @param {{replayed: boolean}[]} runs - The runs of this request in progress; the innermost is last.
+     * @returns {Promise<any>}
+     */
+    #respond(promise, context, runs) {
+        const run = { replayed: false };
+        runs.push(run);
+
+        this.#interceptors.response.forEach(({ onFulfilled, onRejected }) => {
+            promise = promise.then(
+                value => run.replayed || !onFulfilled ? value : onFulfilled(value, context),
+                error => {
+                    if (run.replayed || !onRejected) throw error;
+                    return onRejected(error, context);
+                },
+            );
+        });
+
+        return promise.finally(() => runs.splice(runs.indexOf(run), 1));
+    }
+
+    /**
+     * Sends the request described by `context.config` with support for timeout, abort and retries.
+     * Failed attempts are retried according to the request's {@link RetryPolicy}.
+     * @private
+     * @param {ResponseContext} context - Holds the config to send; the received Response is stored back on it.
+     * @param {CacheEntry} [cacheEntry] - Entry being revalidated; its body is returned if the server answers 304.
+     * @returns {Promise<any>} Resolves with the parsed response body on 2xx.
+     * @throws {SuperFetchError} Throws if the request is aborted, times out, or exhausts all retries without success.
+     */
+    async #dispatch(context, cacheEntry) {
+
+        const { method, url, timeout, retries, responseType, onDownloadProgress, onUploadProgress } = context.config;
+        const { signal } = context;
+        const attempts = 1 + retries;
         
         for (let attempt = 0; attempt < attempts; attempt++) {
             
             let timeoutId;
-            const startTime = performance.now()
+            let timedOut = false;
+            let streaming = false;
+            let response = null;
+            let responseSize = null;
+            let release;
+            const marks = { start: performance.now() };
+            const attemptController = new AbortController();
+            const abortAttempt = () => attemptController.abort();
+            if (signal.aborted) abortAttempt();
+            signal.addEventListener('abort', abortAttempt);
             
             try {
+
+                const limiter = this.#getRateLimiter(context.config);
+                if (limiter) release = await limiter.acquire(context.config.priority, attemptController.signal);
+                marks.queued = performance.now();
                 
-                if (timeoutMs > 0) timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-                
-                const headers = {
-                    ...(this.#token ? { Authorization: `Bearer ${this.#token}` } : {}),
-                    ...(opts.token ? { Authorization: `Bearer ${opts.token}` } : {}),
-                    ...(opts.headers || {}),
-                };
-                
-                let body;
-                let contentType;
+                if (timeout > 0) timeoutId = setTimeout(() => {
+                    timedOut = true;
+                    attemptController.abort();
+                }, timeout);
                 
-                if (data instanceof FormData) {
-                    contentType = 'multipart/form-data';
-                    body = data;
-                } else if (data instanceof Blob) {
-                    contentType = data.type || 'application/octet-stream';
-                    body = data;
-                } else if (data && typeof data === 'object') {
-                    contentType = 'application/json';
-                    body = JSON.stringify(data);
-                } else if (typeof data === 'string') {
-                    contentType = 'text/plain';
-                    body = data;
+                // A streamed request body can only be read once, so it is rebuilt on every attempt
+                const init = onUploadProgress && context.config.body !== undefined ?
+                    await this.#trackUpload(context.config, onUploadProgress) :
+                    { headers: context.config.headers, body: context.config.body };
+
+                this.#emit('request', context.config, attempt, marks);
+
+                response = await this.#transport(url, { method, ...init, signal: attemptController.signal });
+                marks.headers = performance.now();
+                context.response = response;
+                limiter?.observe(response);
+
+                if (response.status === 304 && cacheEntry) {
+                    marks.done = performance.now();
+                    this.#emit('response', context.config, attempt, marks, { response });
+                    return cacheEntry.data;
                 }
                 
-                const requestHeaders = {
-                    'Content-Type': contentType,
-                    ...headers,
-                };
-                
-                const response = await fetch(url, { method, headers: requestHeaders, body, signal: controller.signal });
-                clearTimeout(timeoutId);
-                
                 if (!response.ok) {
-                    const errorDetails = {
+                    const text = await response.text();
+                    responseSize = new TextEncoder().encode(text).byteLength;
+                    let errorBody = text;
+                    if (response.headers.get('Content-Type')?.includes('application/json')) {
+                        try { errorBody = JSON.parse(text); } catch { /* keep the raw text */ }
+                    }
+                    throw new HttpError(`${method} ${url} failed with status ${response.status} ${response.statusText}`.trim(), {
+                        method, url, attempts: attempt + 1,
                         status: response.status,
                         statusText: response.statusText,
                         headers: Object.fromEntries(response.headers.entries()),
-                        body: await response.text(),
-                    };
-                    throw new Error(`Request failed: ${JSON.stringify(errorDetails)}`);
+                        body: errorBody,
+                    });
                 }
                 
-                let responseData;
-                if (response.headers.get('Content-Type')?.includes('application/json')) {
-                    responseData = await response.json();
-                } else if (response.headers.get('Content-Type')?.includes('text/plain')) {
-                    responseData = await response.text();
-                } else if (response.headers.get('Content-Type')?.includes('application/octet-stream')) {
-                    responseData = await response.blob();
-                } else {
-                    responseData = await response.arrayBuffer(); // Fallback para otros binarios.
+                if (onDownloadProgress || this.#observer) response = this.#trackDownload(response, event => {
+                    responseSize = event.loaded;
+                    onDownloadProgress?.(event);
+                });
+
+                streaming = STREAMING_RESPONSE_TYPES.includes(responseType);
+                if (streaming) {
+                    const cleanup = this.#signalCleanups.get(signal);
+                    this.#signalCleanups.delete(signal);
+                    response = this.#onBodyEnd(response, () => {
+                        signal.removeEventListener('abort', abortAttempt);
+                        cleanup?.();
+                    });
+                }
+                const responseData = await this.#parseResponse(response, context.config);
+                marks.done = performance.now();
+                
+                this.#emit('response', context.config, attempt, marks, { response, responseSize });
+
+                return responseData;
+
+            } catch (err) {
+
+                const details = { method, url, attempts: attempt + 1, cause: err };
+
+                if (err.name === 'AbortError' && !timedOut) {
+                    const error = new AbortError(`${method} ${url} was aborted`, details);
+                    this.#emit('abort', context.config, attempt, marks, { response, error });
+                    throw error;
+                }
+
+                let error = err;
+                if (timedOut) {
+                    error = new TimeoutError(`${method} ${url} timed out after ${timeout}ms`, { ...details, timeout });
+                } else if (!(err instanceof SuperFetchError)) {
+                    error = response ?
+                        new SuperFetchError(`${method} ${url} could not read the response: ${err.message}`, details) :
+                        new NetworkError(`${method} ${url} failed: ${err.message}`, details);
+                }
+                const delay = attempt < attempts - 1 ? this.#getRetryDelay(context.config, attempt, response) : null;
+
+                if (delay === null || await context.config.retry.onRetry?.({ attempt: attempt + 1, delay, error, response, config: context.config }) === false) {
+                    this.#emit('error', context.config, attempt, marks, { response, responseSize, error });
+                    throw error;
+                }
+
+                this.#emit('retry', context.config, attempt, marks, { response, responseSize, error, delay });
+                if (!await this.#wait(delay, signal)) {
+                    const error = new AbortError(`${method} ${url} was aborted`, { method, url, attempts: attempt + 1 });
+                    this.#emit('abort', context.config, attempt, marks, { error });
+                    throw error;
+                }
+
+            } finally {
+                clearTimeout(timeoutId);
+                release?.();
+                if (!streaming) signal.removeEventListener('abort', abortAttempt);
+            }
+        }
+
+    }
+
+    /**
+     * Reads a successful response body according to the request's response type.
+     * @private
+     * @param {Response} response - The response to read.
+     * @param {RequestConfig} config - The config of the request.
+     * @returns {Promise<any>}
+     */
+    async #parseResponse(response, { method, url, responseType }) {
+
+        switch (responseType) {
+            case 'json':
+            case 'text':
+            case 'blob':
+            case 'arrayBuffer': return response[responseType]();
+            case 'stream': return response.body;
+            case 'ndjson': return this.#parseNdjson(response.body, method, url);
+            case 'sse': return this.#parseEventStream(response.body);
+        }
+
+        if (response.headers.get('Content-Type')?.includes('application/json')) {
+            return response.json();
+        } else if (response.headers.get('Content-Type')?.includes('text/plain')) {
+            return response.text();
+        } else if (response.headers.get('Content-Type')?.includes('application/octet-stream')) {
+            return response.blob();
+        } else {
+            return response.arrayBuffer(); // Fallback para otros binarios.
+        }
+    }
+
+    /**
+     * Splits a byte stream into text lines. The stream is cancelled if the consumer stops early.
+     * @private
+     * @param {ReadableStream<Uint8Array>|null} stream - The response body.
+     * @returns {AsyncGenerator<string>}
+     */
+    async *#readLines(stream) {
+
+        if (!stream) return;
+
+        const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        let done = false;
+
+        try {
+            while (!done) {
+                const chunk = await reader.read();
+                done = chunk.done;
+                buffer += chunk.value ?? '';
+                const lines = buffer.split(/\r?\n/);
+                buffer = done ? '' : lines.pop();
+                for (const line of lines) yield line;
+            }
+        } finally {
+            if (!done) await reader.cancel();
+            reader.releaseLock();
+        }
+    }
+
+    /**
+     * Parses newline-delimited JSON, skipping blank lines.
+     * @private
+     * @param {ReadableStream<Uint8Array>|null} stream - The response body.
+     * @param {string} method - HTTP method, for error messages.
+     * @param {string} url - Request URL, for error messages.
+     * @returns {AsyncGenerator<any>}
+     * @throws {SuperFetchError} If a line is not valid JSON.
+     */
+    async *#parseNdjson(stream, method, url) {
+        for await (const line of this.#readLines(stream)) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch (err) {
+                throw new SuperFetchError(`${method} ${url} sent an invalid NDJSON line: ${line}`, { method, url, cause: err });
+            }
+        }
+    }
+
+    /**
+     * Parses a `text/event-stream` body following the HTML server-sent events format.
+     * @private
+     * @param {ReadableStream<Uint8Array>|null} stream - The response body.
+     * @returns {AsyncGenerator<ServerSentEvent>}
+     */
+    async *#parseEventStream(stream) {
+
+        let event = { event: '', data: [] };
+
+        for await (const line of this.#readLines(stream)) {
+
+            if (!line) {
+                if (event.data.length) yield { ...event, event: event.event || 'message', data: event.data.join('\n') };
+                event = { event: '', data: [], id: event.id, retry: event.retry };
+                continue;
+            }
+
+            if (line.startsWith(':')) continue;
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+            switch (field) {
+                case 'event': event.event = value; break;
+                case 'data': event.data.push(value); break;
+                case 'id': if (!value.includes('\0')) event.id = value; break;
+                case 'retry': if (/^\d+$/.test(value)) event.retry = Number(value); break;
+            }
+        }
+    }
+
+    /**
+     * Wraps a response so that reading its body reports download progress.
+     * @private
+     * @param {Response} response - The response to track.
+     * @param {(event: ProgressEvent) => void} onProgress - Progress callback.
+     * @returns {Response} A response with the same status and headers and a counting body.
+     */
+    #trackDownload(response, onProgress) {
+
+        if (!response.body) return response;
+
+        const total = Number(response.headers.get('Content-Length')) || null;
+        let loaded = 0;
+
+        const body = response.body.pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                loaded += chunk.byteLength;
+                onProgress({ loaded, total, progress: total ? Math.min(loaded / total, 1) : null });
+                controller.enqueue(chunk);
+            },
+        }));
+
+        return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    }
+
+    /**
+     * Wraps a response so that a callback runs once its body has been read to the end, has failed or was cancelled.
+     * @private
+     * @param {Response} response - The response to watch.
+     * @param {() => void} onEnd - Called once, when the body is done.
+     * @returns {Response} A response with the same status and headers.
+     */
+    #onBodyEnd(response, onEnd) {
+
+        let ended = false;
+        const end = () => {
+            if (!ended) onEnd();
+            ended = true;
+        };
+
+        if (!response.body) {
+            end();
+            return response;
+        }
+
+        const reader = response.body.getReader();
+        const body = new ReadableStream({
+            async pull(controller) {
+                try {
+                    const { done, value } = await reader.read();
+                    if (done) {
+                        end();
+                        controller.close();
+                    } else {
+                        controller.enqueue(value);
+                    }
+                } catch (err) {
+                    end();
+                    controller.error(err);
                 }
-                
-                this.#log(method, path, response.status, attempt, opts.log, startTime);
+            },
+            cancel(reason) {
+                end();
+                return reader.cancel(reason);
+            },
+        });
 
-                return responseData;
+        return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    }
 
-            } catch (err) {
-                clearTimeout(timeoutId);
+    /**
+     * Turns the request body into a stream that reports upload progress as the network layer pulls it.
+     * @private
+     * @param {RequestConfig} config - The config of the request.
+     * @param {(event: ProgressEvent) => void} onProgress - Progress callback.
+     * @returns {Promise<{headers: Object<string,string>, body: ReadableStream<Uint8Array>, duplex: 'half'}>}
+     */
+    async #trackUpload({ headers, body }, onProgress) {
 
-                if (err.name === 'AbortError') {
-                    this.#log(method, path, 'ABORT', attempt, opts.log, startTime);
-                    return { result: 'nok', message: err.message }
-                }
+        const source = new Response(body);
+        const bytes = new Uint8Array(await source.arrayBuffer());
+        const contentType = source.headers.get('Content-Type');
+        let loaded = 0;
 
-                if (attempt < attempts - 1) {
-                    this.#log(method, path, 'RETRY', attempt, opts.log, startTime);
-                    continue;
-                }
+        const stream = new ReadableStream({
+            pull(controller) {
+                if (loaded >= bytes.byteLength) return controller.close();
+                const chunk = bytes.subarray(loaded, loaded + UPLOAD_CHUNK_SIZE);
+                loaded += chunk.byteLength;
+                controller.enqueue(chunk);
+                onProgress({ loaded, total: bytes.byteLength, progress: loaded / bytes.byteLength });
+            },
+        });
 
-                this.#log(method, path, 'ERROR', attempt, opts.log, startTime);
-                return { result: 'nok', message: err.message }
-            }
+        return {
+            // FormData needs the generated multipart boundary
+            headers: contentType?.startsWith('multipart/form-data') ? { ...headers, 'Content-Type': contentType } : headers,
+            body: stream,
+            duplex: 'half',
+        };
+    }
+
+    /**
+     * Returns the rate limiter in charge of a request, creating it on first use.
+     * @private
+     * @param {RequestConfig} config - The config of the request.
+     * @returns {RateLimiter|null} The limiter, or null if the request is not rate limited.
+     */
+    #getRateLimiter(config) {
+
+        if (!this.#rateLimit || !config.rateLimit) return null;
+
+        const { routes = [], perHost = true, ...limits } = this.#rateLimit;
+        const { host, pathname } = new URL(config.url);
+
+        const index = routes.findIndex(({ match }) => {
+            if (typeof match === 'function') return match(config);
+            if (match instanceof RegExp) return match.test(pathname);
+            return pathname.startsWith(match);
+        });
+
+        const key = `${perHost ? host : '*'}::${index}`;
+        if (!this.#rateLimiters.has(key)) {
+            const { match, ...routeLimits } = routes[index] || {};
+            this.#rateLimiters.set(key, new RateLimiter(index === -1 ? limits : { adaptive: limits.adaptive, ...routeLimits }));
+        }
+        return this.#rateLimiters.get(key);
+    }
+
+    /**
+     * Computes how long to wait before retrying a failed attempt.
+     * @private
+     * @param {RequestConfig} config - The config of the request.
+     * @param {number} attempt - Zero-based index of the attempt that failed.
+     * @param {Response|null} response - The response of the failed attempt, null on network errors and timeouts.
+     * @returns {number|null} Delay in milliseconds, or null if the failure must not be retried.
+     */
+    #getRetryDelay({ method, retry }, attempt, response) {
+
+        if (!retry.methods.map(m => m.toUpperCase()).includes(method)) return null;
+        if (response && !retry.statuses.includes(response.status)) return null;
+
+        if (response && retry.retryAfter && [429, 503].includes(response.status)) {
+            const ms = parseRetryAfter(response.headers.get('Retry-After'));
+            if (!isNaN(ms)) return Math.min(ms, retry.maxDelay);
+        }
+
+        const delay = Math.min(retry.baseDelay * retry.factor ** attempt, retry.maxDelay);
+
+        switch (retry.jitter) {
+            case 'none': return delay;
+            case 'equal': return delay / 2 + Math.random() * delay / 2;
+            default: return Math.random() * delay;
         }
+    }
 
+    /**
+     * Waits for the given time unless the signal aborts first.
+     * @private
+     * @param {number} ms - Milliseconds to wait.
+     * @param {AbortSignal} signal - Signal that cancels the wait.
+     * @returns {Promise<boolean>} Resolves with true once the time has passed, or false if the signal aborted.
+     */
+    #wait(ms, signal) {
+        return new Promise(resolve => {
+            const onAbort = () => {
+                clearTimeout(id);
+                resolve(false);
+            };
+            const id = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(true);
+            }, ms);
+            if (signal.aborted) return onAbort();
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     /**
@@ -162,7 +2048,7 @@ export class SuperFetch {
      * @param {string} path - Endpoint path or full URL if absolute.
      * @param {Object} [params] - Query parameters to serialize into the URL.
      * @param {RequestOptions} [opts] - Per-request options (timeout, log, retries, headers).
-     * @returns {Promise<any>} Parsed JSON response.
+     * @returns {CancelablePromise} Parsed JSON response.
      */
     get(path, params, opts) {
         return this.#request('GET', path, params, opts);
@@ -173,7 +2059,7 @@ export class SuperFetch {
      * @param {string} path - Endpoint path or full URL if absolute.
      * @param {Object|string} data - Payload to send. Use string for pre-encoded bodies.
      * @param {RequestOptions} [opts] - Per-request options (timeout, log, retries, headers).
-     * @returns {Promise<any>} Parsed JSON response.
+     * @returns {CancelablePromise} Parsed JSON response.
      */
     post(path, data, opts) {
         return this.#request('POST', path, data, opts);
@@ -184,7 +2070,7 @@ export class SuperFetch {
      * @param {string} path - Endpoint path or full URL if absolute.
      * @param {Object|string} data - Payload to send. Use string for pre-encoded bodies.
      * @param {RequestOptions} [opts] - Per-request options (timeout, log, retries, headers).
-     * @returns {Promise<any>} Parsed JSON response.
+     * @returns {CancelablePromise} Parsed JSON response.
      */
     put(path, data, opts) {
         return this.#request('PUT', path, data, opts);
@@ -195,7 +2081,7 @@ export class SuperFetch {
      * @param {string} path - Endpoint path or full URL if absolute.
      * @param {Object|string} data - Payload to send. Use string for pre-encoded bodies.
      * @param {RequestOptions} [opts] - Per-request options (timeout, log, retries, headers).
-     * @returns {Promise<any>} Parsed JSON response.
+     * @returns {CancelablePromise} Parsed JSON response.
      */
     patch(path, data, opts) {
         return this.#request('PATCH', path, data, opts);
@@ -205,12 +2091,277 @@ export class SuperFetch {
      * Performs a DELETE request.
      * @param {string} path - Endpoint path or full URL if absolute.
      * @param {RequestOptions} [opts] - Per-request options (timeout, log, retries, headers).
-     * @returns {Promise<any>} Parsed JSON response.
+     * @returns {CancelablePromise} Parsed JSON response.
      */
     delete(path, opts) {
         return this.#request('DELETE', path, null, opts);
     }
 
+    /**
+     * @typedef {Object} PaginationStrategy
+     * @property {'offset'|'cursor'|'link'} [type='offset'] - How the next page is requested:
+     * "offset" increments an offset query parameter by the page size, "cursor" sends the cursor found in the
+     * previous body, "link" follows the URL of the RFC 5988 `Link: <...>; rel="next"` response header.
+     * @property {string|Function} [items] - Dot path (e.g. 'data.rows') or function `(body, response) => array`
+     * locating the items of a page. Defaults to the body itself when it is an array, otherwise `body.items`.
+     * @property {'items'|'pages'} [mode='items'] - Yield every item, or one `{page, items, body}` object per page.
+     * @property {number} [maxPages=Infinity] - Stops after this many pages.
+     * @property {number} [maxItems=Infinity] - Stops after this many items, truncating the last page.
+     * @property {boolean} [collect=false] - Returns a Promise of an array with everything instead of an iterator.
+     * @property {number} [limit=100] - "offset": page size, sent as `limitParam`.
+     * @property {number} [offset=0] - "offset": offset of the first page.
+     * @property {string} [offsetParam='offset'] - "offset": query parameter holding the offset.
+     * @property {string} [limitParam='limit'] - "offset": query parameter holding the page size.
+     * @property {string|Function} [total] - "offset": dot path or function locating the total number of items, if
+     * the API returns it. Without it, pagination ends on the first page shorter than `limit`.
+     * @property {string|Function} [nextCursor='next_cursor'] - "cursor": dot path or function locating the cursor
+     * of the next page. Pagination ends when it is null, undefined or empty.
+     * @property {string} [cursorParam='cursor'] - "cursor": query parameter holding the cursor.
+     * @property {string} [cursor] - "cursor": cursor of the first page, if any.
+     */
+
+    /**
+     * Iterates over a paginated GET endpoint. Pages are requested lazily, one at a time, and any failure is
+     * thrown from the iterator as a {@link SuperFetchError} whatever the `throwErrors` setting.
+     * @param {string} path - Endpoint path or full URL if absolute.
+     * @param {Object} [params] - Query parameters sent with every page.
+     * @param {PaginationStrategy} [strategy] - How pages are requested and read.
+     * @param {RequestOptions} [opts] - Per-request options applied to every page.
+     * @returns {AsyncGenerator<any>|Promise<any[]>} An async iterator, or a Promise of an array if `collect` is set.
+     * @example
+     * for await (const user of api.paginate('/users', {active: true}, {limit: 50, maxItems: 500})) {
+     *     console.log(user.name);
+     * }
+     * 
+     * const events = await api.paginate('/events', null, {type: 'cursor', items: 'data', nextCursor: 'meta.next', collect: true});
+     * 
+     * for await (const {page, items} of api.paginate('/repos', null, {type: 'link', mode: 'pages', maxPages: 3})) {
+     *     console.log(`page ${page}: ${items.length} repos`);
+     * }
+     */
+    paginate(path, params, strategy = {}, opts) {
+
+        const iterator = this.#paginate(path, params, strategy, opts);
+        if (!strategy.collect) return iterator;
+
+        return (async () => {
+            const all = [];
+            for await (const value of iterator) all.push(value);
+            return all;
+        })();
+    }
+
+    /**
+     * Generator behind `paginate`.
+     * @private
+     * @param {string} path - Endpoint path or full URL.
+     * @param {Object} [params] - Query parameters sent with every page.
+     * @param {PaginationStrategy} strategy - How pages are requested and read.
+     * @param {RequestOptions} [opts] - Per-request options.
+     * @returns {AsyncGenerator<any>}
+     */
+    async *#paginate(path, params, strategy, opts = {}) {
+
+        const {
+            type = 'offset',
+            items = body => Array.isArray(body) ? body : body?.items,
+            mode = 'items',
+            maxPages = Infinity,
+            maxItems = Infinity,
+            limit = 100,
+            offsetParam = 'offset',
+            limitParam = 'limit',
+            total,
+            nextCursor = 'next_cursor',
+            cursorParam = 'cursor',
+        } = strategy;
+
+        if (!['offset', 'cursor', 'link'].includes(type)) throw new Error(`Invalid pagination type: ${type}`);
+
+        // The Link header is needed on every page, and cached bodies come without headers
+        const pageOpts = { ...opts, throwErrors: true, ...(type === 'link' ? { cache: false } : {}) };
+
+        let url = path;
+        let query = params;
+        let offset = strategy.offset ?? 0;
+        let cursor = strategy.cursor;
+        let count = 0;
+
+        for (let page = 0; page < maxPages && count < maxItems; page++) {
+
+            if (type === 'offset') query = { ...params, [offsetParam]: offset, [limitParam]: limit };
+            if (type === 'cursor' && cursor != null) query = { ...params, [cursorParam]: cursor };
+
+            const meta = {};
+            const body = await this.#request('GET', url, query, pageOpts, meta);
+            const pageItems = this.#select(body, items, meta.response) ?? [];
+
+            if (!Array.isArray(pageItems)) {
+                throw new SuperFetchError(`GET ${meta.config.url} did not return an array of items`, { method: 'GET', url: meta.config.url });
+            }
+
+            const taken = pageItems.slice(0, maxItems - count);
+            count += taken.length;
+
+            if (mode === 'pages') yield { page, items: taken, body };
+            else yield* taken;
+
+            if (type === 'offset') {
+                const totalItems = total === undefined ? undefined : this.#select(body, total, meta.response);
+                offset += limit;
+                if (pageItems.length < limit || (totalItems !== undefined && offset >= totalItems)) return;
+            }
+
+            if (type === 'cursor') {
+                cursor = this.#select(body, nextCursor, meta.response);
+                if (cursor == null || cursor === '') return;
+            }
+
+            if (type === 'link') {
+                const next = this.#parseLinkHeader(meta.response?.headers.get('Link')).next;
+                if (!next) return;
+                url = new URL(next, meta.config.url).toString();
+                query = null;
+            }
+        }
+    }
+
+    /**
+     * Reads a value out of a response body.
+     * @private
+     * @param {any} body - The parsed response body.
+     * @param {string|Function} selector - Dot path, or function receiving the body and the response.
+     * @param {Response|null} response - The response the body came from.
+     * @returns {any}
+     */
+    #select(body, selector, response) {
+        if (typeof selector === 'function') return selector(body, response);
+        return String(selector).split('.').reduce((value, key) => value?.[key], body);
+    }
+
+    /**
+     * Parses an RFC 5988 Link header.
+     * @private
+     * @param {string|null} header - Value of the Link header.
+     * @returns {Object<string,string>} URLs keyed by each of their rel values.
+     */
+    #parseLinkHeader(header) {
+        const links = {};
+        for (const [, url, attributes] of (header || '').matchAll(/<([^>]*)>([^<]*)/g)) {
+            const rel = /(?:^|;)\s*rel\s*=\s*(?:"([^"]*)"|([^;,\s]+))/i.exec(attributes);
+            (rel?.[1] ?? rel?.[2] ?? '').split(/\s+/).filter(Boolean).forEach(name => links[name.toLowerCase()] = url);
+        }
+        return links;
+    }
+
+    /**
+     * @typedef {Object} EndpointDefinition
+     * @property {'GET'|'POST'|'PUT'|'PATCH'|'DELETE'} [method='GET'] - HTTP method.
+     * @property {string} path - Path template; `:name` segments are filled from the call input.
+     * @property {Schema} [params] - Schema of the path parameters.
+     * @property {Schema} [query] - Schema of the query parameters.
+     * @property {Schema} [body] - Schema of the request body.
+     * @property {Schema} [response] - Schema of the response, checked after the response interceptors.
+     * @property {RequestOptions} [options] - Request options applied to every call of the endpoint.
+     */
+
+    /**
+     * @typedef {Object} EndpointInput
+     * @property {Object} [query] - Query parameters.
+     * @property {any} [body] - Request body.
+     * Every other property fills the `:name` segment of the path with the same name.
+     */
+
+    /**
+     * Declares a resource: a named group of endpoints callable as `api.resource(name).endpoint(input, opts)`.
+     * Calls validate their input before sending and their response after receiving it, and reject with a
+     * {@link ValidationError} listing every mismatch. Any other failure rejects with its {@link SuperFetchError},
+     * whatever the `throwErrors` setting.
+     * @param {string} name - The resource name. Declaring an existing name replaces it.
+     * @param {Object<string, EndpointDefinition>} endpoints - The endpoints, by name.
+     * @returns {Object<string, (input?: EndpointInput, opts?: RequestOptions) => Promise<any>>} The resource.
+     * @throws {Error} If an endpoint has an invalid method or path.
+     * @example
+     * api.define('orders', {
+     *     list: {path: '/customers/:customerId/orders', query: {status: {$type: 'string', enum: ['open', 'paid'], optional: true}}},
+     *     pay: {method: 'POST', path: '/orders/:id/payments', body: {amount: {$type: 'number', min: 0.01}}},
+     * });
+     * await api.resource('orders').list({customerId: 7, query: {status: 'open'}});
+     * await api.resource('orders').pay({id: 15, body: {amount: 30}});
+     */
+    define(name, endpoints) {
+
+        if (typeof name !== 'string' || !name) throw new Error(`Invalid resource name: ${name}`);
+
+        const resource = {};
+        Object.entries(endpoints || {}).forEach(([endpointName, endpoint]) => {
+            const method = (endpoint.method || 'GET').toUpperCase();
+            if (!['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].includes(method)) throw new Error(`Invalid method for ${name}.${endpointName}: ${endpoint.method}`);
+            if (typeof endpoint.path !== 'string') throw new Error(`Invalid path for ${name}.${endpointName}: ${endpoint.path}`);
+            resource[endpointName] = (input, opts) => this.#callEndpoint({ ...endpoint, method }, input, opts);
+        });
+
+        this.#resources.set(name, Object.freeze(resource));
+        return this.#resources.get(name);
+    }
+
+    /**
+     * Returns a resource declared with `define`.
+     * @param {string} name - The resource name.
+     * @returns {Object<string, (input?: EndpointInput, opts?: RequestOptions) => Promise<any>>} The resource.
+     * @throws {Error} If no resource has that name.
+     */
+    resource(name) {
+        if (!this.#resources.has(name)) throw new Error(`Unknown resource: ${name}`);
+        return this.#resources.get(name);
+    }
+
+    /**
+     * Validates the input of an endpoint call, sends it and validates the response.
+     * @private
+     * @param {EndpointDefinition} endpoint - The endpoint, with an upper-case method.
+     * @param {EndpointInput} [input={}] - Path parameters, query and body.
+     * @param {RequestOptions} [opts={}] - Per-call options, merged over the endpoint ones.
+     * @returns {Promise<any>} The validated response.
+     */
+    async #callEndpoint(endpoint, input = {}, opts = {}) {
+
+        const { method, path, params, query, body, response, options } = endpoint;
+        const { query: queryInput, body: bodyInput, ...pathInput } = input;
+        const issues = [];
+
+        if (params) validateSchema(params, pathInput, 'params', issues);
+        if (query) validateSchema(query, queryInput ?? {}, 'query', issues);
+        if (body) validateSchema(body, bodyInput, 'body', issues);
+
+        const resolvedPath = path.replace(/:(\w+)/g, (_, key) => {
+            if (pathInput[key] === undefined || pathInput[key] === null) {
+                if (!issues.some(issue => issue.path === `params.${key}`)) issues.push({ path: `params.${key}`, message: 'is required' });
+                return '';
+            }
+            return encodeURIComponent(pathInput[key]);
+        });
+
+        const url = this.#buildUrl(resolvedPath, queryInput);
+
+        if (issues.length) {
+            const message = issues.map(issue => `${issue.path} ${issue.message}`).join('; ');
+            throw new ValidationError(`${method} ${url} has an invalid input: ${message}`, { method, url, target: 'request', issues });
+        }
+
+        const data = await this.#request(method, url, method === 'GET' ? null : bodyInput ?? null, { ...options, ...opts, throwErrors: true });
+
+        if (response) {
+            validateSchema(response, data, 'response', issues);
+            if (issues.length) {
+                const message = issues.map(issue => `${issue.path} ${issue.message}`).join('; ');
+                throw new ValidationError(`${method} ${url} returned an invalid response: ${message}`, { method, url, target: 'response', issues });
+            }
+        }
+
+        return data;
+    }
+
     /**
      * Constructs full URL including serialized query parameters.
      * @private
@@ -233,48 +2384,198 @@ export class SuperFetch {
     }
 
     /**
-     * Aborts any ongoing request associated with the given key and cleans up the controller.
-     * @private
-     * @param {string} key - Request identifier combining method and path.
-     */
-    #abort(key) {
-        const ctrl = this.#controllers.get(key);
-        if (ctrl) {
-            ctrl.abort();
-            this.#controllers.delete(key);
-        }
-    }
-
-    /**
-     * Creates an abort controller
+     * Creates an abort controller tracked by `abortAll` until it is removed from `#controllers`.
      * @private
-     * @param {string} key - Request identifier combining method and path.
      * @returns {AbortController}
      */
-    #createAbortController(key) {
-        this.#abort(key);
+    #createAbortController() {
         const controller = new AbortController()
-        this.#controllers.set(key, controller);
+        this.#controllers.add(controller);
         return controller
     }
 
+    /**
+     * Aborts every request in flight, including background cache revalidations.
+     */
     abortAll() {
         this.#controllers.forEach(controller => controller.abort());
         this.#controllers.clear();
     }
 
     /**
-     * Logs request details to console when enabled.
+     * Reports a step of a request: logs it to the console when enabled and hands a {@link RequestEvent} to the observer.
+     * @private
+     * @param {RequestEvent['type']} type - The step.
+     * @param {RequestConfig} config - The config of the request.
+     * @param {number} attempt - Zero-based attempt index.
+     * @param {{start: number, queued?: number, headers?: number, done?: number}} marks - `performance.now()` of each step reached.
+     * @param {Object} [details]
+     * @param {Response|null} [details.response] - The received response.
+     * @param {number|null} [details.responseSize] - Bytes of response body read.
+     * @param {Error} [details.error] - The failure.
+     * @param {number} [details.delay] - Milliseconds before the next attempt.
+     */
+    #emit(type, config, attempt, marks, { response = null, responseSize = null, error = null, delay } = {}) {
+
+        const { method, path, url, headers, body, log, correlationId } = config;
+        const total = performance.now() - marks.start;
+
+        if (type !== 'request' && (this.#logRequests || log)) {
+            const status = type === 'response' ? response.status : type.toUpperCase();
+            console.log(`${method} ${path} | Status: ${status} | Attempt: ${attempt + 1} | Duration: ${Math.round(total)}ms`);
+        }
+
+        if (!this.#observer) return;
+
+        const since = (from, to) => from !== undefined && to !== undefined ? to - from : undefined;
+        const redactedUrl = this.#redactUrl(url);
+
+        const event = {
+            type,
+            correlationId,
+            method,
+            url: redactedUrl,
+            path,
+            attempt: attempt + 1,
+            timestamp: Date.now(),
+            timing: {
+                queued: since(marks.start, marks.queued),
+                ttfb: since(marks.queued, marks.headers),
+                download: since(marks.headers, marks.done),
+                total,
+            },
+            request: { headers: this.#redactHeaders(headers), size: this.#getBodySize(body) },
+            response: response && {
+                status: response.status,
+                headers: this.#redactHeaders(Object.fromEntries(response.headers.entries())),
+                size: responseSize ?? (Number(response.headers.get('Content-Length')) || null),
+            },
+            error: error && {
+                name: error.name,
+                message: error.message.split(url).join(redactedUrl),
+                ...(error.status ? { status: error.status } : {}),
+            },
+            ...(type === 'retry' ? { delay } : {}),
+        };
+
+        try {
+            if (typeof this.#observer === 'function') this.#observer(event);
+            else this.#observer[`on${type[0].toUpperCase()}${type.slice(1)}`]?.(event);
+        } catch (err) {
+            console.error('SuperFetch observer failed:', err);
+        }
+    }
+
+    /**
+     * Identifies the representation a request asks for: its Authorization and Accept headers and response type.
+     * The value is hashed, so cache keys never contain credentials.
+     * @private
+     * @param {RequestConfig} config - The request config.
+     * @returns {string} An empty string for anonymous requests with the default response type, a hash otherwise.
+     */
+    #getVariant({ headers, responseType }) {
+        const header = name => Object.entries(headers).find(([key]) => key.toLowerCase() === name)?.[1];
+        const authorization = header('authorization');
+        const accept = header('accept');
+        if (!authorization && !accept && responseType === 'auto') return '';
+
+        // cyrb53: a fast 53-bit string hash
+        const text = `${responseType}\n${accept ?? ''}\n${authorization ?? ''}`;
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const char = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ char, 2654435761);
+            h2 = Math.imul(h2 ^ char, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    /**
+     * Deep-copies a cached body so that callers cannot modify the cache. Bodies that cannot be cloned are
+     * returned as they are.
+     * @private
+     * @param {any} value - The body.
+     * @returns {any}
+     */
+    #clone(value) {
+        if (value === null || typeof value !== 'object' || typeof structuredClone !== 'function') return value;
+        try {
+            return structuredClone(value);
+        } catch {
+            return value;
+        }
+    }
+
+    /**
+     * Generates the correlation id of a request.
+     * @private
+     * @returns {string}
+     */
+    #createCorrelationId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Copies headers, hiding the values of the redacted ones.
+     * @private
+     * @param {Object<string,string>} headers - The headers.
+     * @returns {Object<string,string>}
+     */
+    #redactHeaders(headers = {}) {
+        return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+            [name, this.#redactedFields.has(name.toLowerCase()) ? '[REDACTED]' : value]
+        ));
+    }
+
+    /**
+     * Hides the values of redacted query parameters.
+     * @private
+     * @param {string} url - A full URL.
+     * @returns {string}
+     */
+    #redactUrl(url) {
+        const parsed = new URL(url);
+        const names = [...new Set(parsed.searchParams.keys())].filter(name => this.#redactedFields.has(name.toLowerCase()));
+        if (!names.length) return url;
+        names.forEach(name => parsed.searchParams.set(name, '[REDACTED]'));
+        return parsed.toString();
+    }
+
+    /**
+     * Computes the size in bytes of a request body, when it is known before sending.
      * @private
-     * @param {string} method - HTTP method used.
-     * @param {string} path - Request path.
-     * @param {number|string} status - HTTP status code or custom status string.
-     * @param {number} attempt - Current attempt number for retries.
-     * @param {boolean} [forceLog] - If true, forces logging regardless of global setting.
+     * @param {BodyInit|undefined} body - The encoded body.
+     * @returns {number|null}
+     */
+    #getBodySize(body) {
+        if (body === undefined || body === null) return 0;
+        if (typeof body === 'string') return new TextEncoder().encode(body).byteLength;
+        if (body instanceof Blob) return body.size;
+        if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+        if (body instanceof URLSearchParams) return new TextEncoder().encode(body.toString()).byteLength;
+        return null;
+    }
+
+    /**
+     * Request and response interceptors.
+     * Request interceptors receive and return a {@link RequestConfig}. Response interceptors receive the
+     * parsed body and a {@link ResponseContext}; their error handlers receive the error and the same context.
+     * @type {{request: InterceptorManager, response: InterceptorManager}}
+     */
+    get interceptors() {
+        return this.#interceptors;
+    }
+
+    /**
+     * The queue of requests made while offline, or null if the `offline` option is not set.
+     * @type {OfflineQueue|null}
      */
-    #log(method, path, status, attempt, forceLog, startTime) {
-        if (!this.#logRequests && !forceLog) return;
-        console.log(`${method} ${path} | Status: ${status} | Attempt: ${attempt + 1} | Duration: ${Math.round(performance.now() - startTime)}ms`);
+    get offlineQueue() {
+        return this.#offlineQueue;
     }
 
     /**
@@ -300,4 +2601,271 @@ export class SuperFetch {
     get root() {
         return this.#root;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * In-memory transport for testing code that uses SuperFetch without a server nor a patched global `fetch`.
+ * Routes are matched by method, path (with `:param` and `*` segments) and query; replies can be static or
+ * computed, delayed, failed or left hanging until the request times out. Every call is recorded.
+ * Delays use `setTimeout`, so fake timers drive them deterministically.
+ * @class
+ * @example
+ * const mock = new MockTransport();
+ * mock.on('GET', '/users/:id', request => ({ body: { id: Number(request.params.id) } }));
+ * mock.on('GET', '/flaky', { status: 503 }, { times: 2 });
+ * mock.on('GET', '/flaky', { body: 'ok' });
+ * mock.on('POST', '/users', { status: 201, body: { id: 4 }, delay: 50 });
+ * mock.on('GET', '/slow', { timeout: true });
+ * 
+ * const api = new SuperFetch('https://api.test', { transport: mock, retries: 2 });
+ * await api.get('/flaky');
+ * mock.assertCalled('GET', '/flaky', 3);
+ */
+export class MockTransport {
+
+    /**
+     * @typedef {Object} MockRequest
+     * @property {string} method - HTTP method.
+     * @property {string} url - Full URL.
+     * @property {string} path - URL pathname.
+     * @property {Object<string,string|string[]>} query - Query parameters; repeated keys become arrays.
+     * @property {Object<string,string>} params - Values of the `:param` segments of the matched route.
+     * @property {Object<string,string>} headers - Request headers, with lower-case names.
+     * @property {any} body - Request body; JSON and text bodies are decoded, FormData and Blob are kept as is.
+     */
+
+    /**
+     * @typedef {Object} MockReply
+     * @property {number} [status=200] - Response status.
+     * @property {Object<string,string>} [headers] - Response headers.
+     * @property {any} [body] - Objects and arrays are sent as JSON, strings as text, Blob/ArrayBuffer as they are.
+     * @property {number} [delay] - Latency in milliseconds before responding; overrides the global latency.
+     * @property {'network'|Error} [error] - Fails like an unreachable server ('network') or with the given error.
+     * @property {boolean} [timeout] - Never responds; the request only ends when it is aborted or times out.
+     */
+
+    #routes;
+    #calls;
+    #latency;
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.latency=0] - Default latency in milliseconds for every reply.
+     */
+    constructor({ latency = 0 } = {}) {
+        this.#routes = [];
+        this.#calls = [];
+        this.#latency = latency;
+    }
+
+    /**
+     * Registers a route. Routes are checked in registration order; exhausted ones (see `times`) are skipped.
+     * @param {string} method - HTTP method, or '*' for any.
+     * @param {string|RegExp} path - Path such as '/users/:id' or '/files/*', or a RegExp tested on the pathname.
+     * @param {MockReply|((request: MockRequest) => MockReply|Promise<MockReply>)} reply - The reply, or a function computing it.
+     * @param {Object} [options]
+     * @param {Object<string,string|number|boolean>} [options.query] - Query parameters that must be present with these values.
+     * @param {number} [options.times=Infinity] - How many requests this route answers.
+     * @returns {MockTransport} The transport, for chaining.
+     */
+    on(method, path, reply, { query, times = Infinity } = {}) {
+        if (typeof method !== 'string') throw new Error(`${method} is not a string`);
+        if (typeof path !== 'string' && !(path instanceof RegExp)) throw new Error(`${path} is not a string or RegExp`);
+        this.#routes.push({ method: method.toUpperCase(), ...this.#compilePath(path), reply, query, remaining: times });
+        return this;
+    }
+
+    /**
+     * The transport function to hand to SuperFetch (passing the MockTransport itself also works).
+     * @type {Transport}
+     */
+    fetch = async (url, init = {}) => {
+
+        const request = await this.#createRequest(url, init);
+        this.#calls.push(request);
+
+        const route = this.#routes.find(route => route.remaining > 0 && this.#matches(route, request));
+        if (!route) throw new Error(`MockTransport: no route matches ${request.method} ${request.url}`);
+
+        route.remaining--;
+        request.params = route.names.reduce((params, name, i) => ({ ...params, [name]: decodeURIComponent(route.match[i + 1]) }), {});
+
+        const reply = typeof route.reply === 'function' ? await route.reply(request) : route.reply;
+        const { status = 200, headers = {}, body, delay = this.#latency, error, timeout } = reply || {};
+
+        await this.#sleep(timeout ? Infinity : delay, init.signal);
+
+        if (error === 'network') throw new TypeError('fetch failed');
+        if (error) throw error;
+
+        return this.#createResponse(status, headers, body);
+    };
+
+    /**
+     * Every request received so far, in order.
+     * @type {MockRequest[]}
+     */
+    get calls() {
+        return [...this.#calls];
+    }
+
+    /**
+     * Returns the recorded requests to a method and path.
+     * @param {string} method - HTTP method, or '*' for any.
+     * @param {string|RegExp} path - Same format as in `on`.
+     * @returns {MockRequest[]}
+     */
+    callsTo(method, path) {
+        const route = { method: method.toUpperCase(), ...this.#compilePath(path) };
+        return this.#calls.filter(request => this.#matches(route, request));
+    }
+
+    /**
+     * Throws unless a method and path were requested, optionally an exact number of times.
+     * @param {string} method - HTTP method, or '*' for any.
+     * @param {string|RegExp} path - Same format as in `on`.
+     * @param {number} [times] - Expected number of calls; any positive number if omitted.
+     * @throws {Error} If the expectation is not met.
+     */
+    assertCalled(method, path, times) {
+        const count = this.callsTo(method, path).length;
+        if (times === undefined ? count > 0 : count === times) return;
+        const expected = times === undefined ? 'at least once' : `${times} time(s)`;
+        const received = this.#calls.map(call => `${call.method} ${call.url}`).join(', ') || 'none';
+        throw new Error(`Expected ${method} ${path} to be called ${expected}, but it was called ${count} time(s). Calls: ${received}`);
+    }
+
+    /**
+     * Throws if a method and path were requested.
+     * @param {string} method - HTTP method, or '*' for any.
+     * @param {string|RegExp} path - Same format as in `on`.
+     * @throws {Error} If the path was requested.
+     */
+    assertNotCalled(method, path) {
+        this.assertCalled(method, path, 0);
+    }
+
+    /**
+     * Forgets the recorded calls; with `routes` set, removes the routes as well.
+     * @param {Object} [options]
+     * @param {boolean} [options.routes=false] - Also removes every registered route.
+     */
+    reset({ routes = false } = {}) {
+        this.#calls = [];
+        if (routes) this.#routes = [];
+    }
+
+    /**
+     * Turns a route path into a RegExp and the names of its params.
+     * @private
+     * @param {string|RegExp} path - The route path.
+     * @returns {{pattern: RegExp, names: string[]}}
+     */
+    #compilePath(path) {
+        if (path instanceof RegExp) return { pattern: path, names: [] };
+        const names = [];
+        const pathname = /^https?:\/\//.test(path) ? new URL(path).pathname : path.split('?')[0];
+        const source = pathname.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+        return { pattern: new RegExp(`^${source}/?$`), names };
+    }
+
+    /**
+     * Checks whether a route answers a request, keeping the path match on the route for its params.
+     * @private
+     * @param {Object} route - A compiled route.
+     * @param {MockRequest} request - The request.
+     * @returns {boolean}
+     */
+    #matches(route, request) {
+        if (route.method !== '*' && route.method !== request.method) return false;
+        route.match = route.pattern.exec(request.path);
+        if (!route.match) return false;
+        return Object.entries(route.query || {}).every(([key, value]) => [].concat(request.query[key]).includes(String(value)));
+    }
+
+    /**
+     * Normalizes the arguments of a fetch call into a recorded request.
+     * @private
+     * @param {string} url - Request URL.
+     * @param {RequestInit} init - Request options.
+     * @returns {Promise<MockRequest>}
+     */
+    async #createRequest(url, init) {
+
+        const parsed = new URL(url);
+        const query = {};
+        parsed.searchParams.forEach((value, key) => {
+            query[key] = key in query ? [].concat(query[key], value) : value;
+        });
+
+        let body = init.body;
+        if (body instanceof ReadableStream || body instanceof ArrayBuffer || ArrayBuffer.isView(body)) body = await new Response(body).text();
+        if (typeof body === 'string') {
+            try { body = JSON.parse(body); } catch { /* plain text */ }
+        }
+
+        return {
+            method: (init.method || 'GET').toUpperCase(),
+            url: parsed.toString(),
+            path: parsed.pathname,
+            query,
+            params: {},
+            headers: Object.fromEntries(new Headers(init.headers).entries()),
+            body,
+        };
+    }
+
+    /**
+     * Builds the Response for a reply.
+     * @private
+     * @param {number} status - Response status.
+     * @param {Object<string,string>} headers - Response headers.
+     * @param {any} body - Response body.
+     * @returns {Response}
+     */
+    #createResponse(status, headers, body) {
+
+        const responseHeaders = new Headers(headers);
+        let responseBody = body ?? null;
+
+        if (responseBody !== null && typeof responseBody === 'object' && !(responseBody instanceof Blob) && !(responseBody instanceof ArrayBuffer)) {
+            responseBody = JSON.stringify(responseBody);
+            if (!responseHeaders.has('Content-Type')) responseHeaders.set('Content-Type', 'application/json');
+        } else if (typeof responseBody === 'string' && !responseHeaders.has('Content-Type')) {
+            responseHeaders.set('Content-Type', 'text/plain');
+        }
+
+        // 1xx, 204, 205 and 304 responses cannot have a body
+        if ([204, 205, 304].includes(status)) responseBody = null;
+
+        return new Response(responseBody, { status, headers: responseHeaders });
+    }
+
+    /**
+     * Waits for the given time, rejecting like fetch does if the signal aborts first.
+     * @private
+     * @param {number} ms - Milliseconds to wait; Infinity waits until aborted.
+     * @param {AbortSignal} [signal] - Signal of the request.
+     * @returns {Promise<void>}
+     */
+    #sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            let id;
+            const onAbort = () => {
+                clearTimeout(id);
+                reject(new DOMException('This operation was aborted', 'AbortError'));
+            };
+            if (signal?.aborted) return onAbort();
+            if (!ms) return resolve();
+            signal?.addEventListener('abort', onAbort, { once: true });
+            if (ms === Infinity) return;
+            id = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+        });
+    }
+}
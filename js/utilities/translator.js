@@ -5,8 +5,13 @@ class Translator {
 	#fallbackLang
 	#rgx
 	#fallbackRgx
+	#messages
+	#escape
+	#markup
 
-	constructor(defaultTranslations, lang, fallbackLang) {
+	// options.escape: HTML-escape placeholder values (default true). Template text is trusted and never escaped.
+	// options.markup: allowlist of %class tokens rendered as spans; others are kept as text. %end and %break are always allowed.
+	constructor(defaultTranslations, lang, fallbackLang, { escape = true, markup = null } = {}) {
         
 		this.#translations = new Map(Object.entries(defaultTranslations))
 
@@ -14,6 +19,9 @@ class Translator {
 		this.#fallbackLang = fallbackLang
 		this.#rgx = new RegExp(`\\[:${this.#lang}\\]([^\\[]+)\\[:]`, 'g')
 		this.#fallbackRgx = new RegExp(`\\[:${fallbackLang}\\]([^\\[]+)\\[:]`, 'g')
+		this.#messages = new Map()
+		this.#escape = escape
+		this.#markup = markup && new Set(markup)
 	}
 
 	getTranslationCount() {
@@ -47,33 +55,332 @@ class Translator {
 	}
 
 	applyPlaceholdersToTemplate(template, ...placeholders) {
+		return this.#toHtml(this.#tokenize(template, placeholders))
+	}
+
+	getProcessedTranslation(str, ...placeholders) {
+		let result = this.extractTranslationFromString(this.getTranslation(str))
+		if (placeholders.length === 1 && this.#isValues(placeholders[0])) return this.formatMessage(result, placeholders[0])
+		return this.applyPlaceholdersToTemplate(result, ...placeholders)
+	}
+
+	// Same input as getProcessedTranslation, but returns a tree instead of HTML, for renderers building nodes:
+	//   { type: 'text', value }  { type: 'break' }  { type: 'span', className, children: [...] }
+	// Values are plain text, never HTML. As in HTML output, unclosed spans end with the message and unmatched %end tokens are ignored.
+	getTranslationTokens(str, ...placeholders) {
+		let result = this.extractTranslationFromString(this.getTranslation(str))
+		return this.renderTokens(result, ...placeholders)
+	}
+
+	renderTokens(template, ...placeholders) {
+		const tokens = placeholders.length === 1 && this.#isValues(placeholders[0])
+			? this.#render(this.#parseMessage(template), placeholders[0], null)
+			: this.#tokenize(template, placeholders)
+		return this.#toTree(tokens)
+	}
+
+	#tokenize(template, placeholders = []) {
+		const tokens = []
 		let replaceIndex = 0
+		let lastIndex = 0
 
-		return template.replace(/%[a-z0-9\-]{1,}/g, (match) => {
-			let result = ''
+		for (const { 0: match, index } of template.matchAll(/%[a-z0-9\-]{1,}/g)) {
+			if (index > lastIndex) tokens.push({ type: 'text', value: template.slice(lastIndex, index) })
+			lastIndex = index + match.length
 
 			switch (match) {
 				case '%end':
-					result = '</span>'
+					tokens.push({ type: 'close' })
 					break
 				case '%break':
-					result = '<br />'
+					tokens.push({ type: 'break' })
 					break
 				case '%s':
-					result = String(placeholders[replaceIndex] ?? '') 
+					tokens.push({ type: 'value', value: String(placeholders[replaceIndex] ?? '') })
 					replaceIndex = replaceIndex === Math.max(0, placeholders.length - 1) ? 0 : replaceIndex + 1
 					break
 				default:
-					result = `<span class="${match.substring(1)}">`
+					if (this.#markup && !this.#markup.has(match.substring(1))) tokens.push({ type: 'text', value: match })
+					else tokens.push({ type: 'open', className: match.substring(1) })
+					break
+			}
+		}
+
+		if (lastIndex < template.length) tokens.push({ type: 'text', value: template.slice(lastIndex) })
+		return tokens
+	}
+
+	// Unmatched %end tokens are dropped and unclosed spans are closed, so the HTML is always well formed
+	#toHtml(tokens) {
+		let depth = 0
+
+		const html = tokens.map(token => {
+			switch (token.type) {
+				case 'open':
+					depth++
+					return `<span class="${token.className}">`
+				case 'close':
+					if (!depth) return ''
+					depth--
+					return '</span>'
+				case 'break': return '<br />'
+				case 'value': return this.#escape ? this.#escapeHtml(token.value) : token.value
+				default: return token.value
+			}
+		}).join('')
+
+		return html + '</span>'.repeat(depth)
+	}
+
+	#toTree(tokens) {
+		const root = { children: [] }
+		const stack = [root]
+
+		for (const token of tokens) {
+			const { children } = stack[stack.length - 1]
+
+			switch (token.type) {
+				case 'open': {
+					const span = { type: 'span', className: token.className, children: [] }
+					children.push(span)
+					stack.push(span)
 					break
+				}
+				case 'close':
+					if (stack.length > 1) stack.pop()
+					break
+				case 'break':
+					children.push({ type: 'break' })
+					break
+				default: {
+					if (!token.value) break
+					const previous = children[children.length - 1]
+					if (previous?.type === 'text') previous.value += token.value
+					else children.push({ type: 'text', value: token.value })
+				}
+			}
+		}
+
+		return root.children
+	}
+
+	#escapeHtml(value) {
+		return value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+	}
+
+	// ICU MessageFormat subset:
+	//   {name}                                   value as text
+	//   {n, number}  {n, number, integer|percent|compact|currency/EUR}
+	//   {d, date, short|medium|long|full}  {d, time, short|medium|long|full}
+	//   {n, relative, second|minute|hour|day|week|month|year}
+	//   {n, plural, offset:1 =0 {none} one {# item} other {# items}}   (also selectordinal)
+	//   {g, select, female {she} male {he} other {they}}
+	// '' is a literal quote and '{...}' is literal text. %end, %break and %class tokens still apply.
+	formatMessage(template, values = {}) {
+		return this.#toHtml(this.#render(this.#parseMessage(template), values, null))
+	}
+
+	#isValues(value) {
+		return value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)
+	}
+
+	#parseMessage(template) {
+		if (!this.#messages.has(template)) {
+			const state = { template, index: 0 }
+			this.#messages.set(template, this.#parseNodes(state, false, false))
+		}
+		return this.#messages.get(template)
+	}
+
+	#parseNodes(state, nested, inPlural) {
+		const { template } = state
+		const nodes = []
+		let text = ''
+
+		while (state.index < template.length) {
+			const char = template[state.index]
+
+			if (char === '}') {
+				if (nested) break
+				this.#syntaxError(state, `unexpected '}'`)
+			}
+
+			if (char === '{') {
+				if (text) nodes.push(text)
+				text = ''
+				nodes.push(this.#parseArgument(state, inPlural))
+				continue
 			}
 
-			return result
+			if (char === '#' && inPlural) {
+				if (text) nodes.push(text)
+				text = ''
+				nodes.push({ type: 'pound' })
+				state.index++
+				continue
+			}
+
+			if (char === "'") {
+				const next = template[state.index + 1]
+				if (next === "'") {
+					text += "'"
+					state.index += 2
+					continue
+				}
+				if (next === '{' || next === '}' || (next === '#' && inPlural)) {
+					const end = template.indexOf("'", state.index + 1)
+					if (end === -1) this.#syntaxError(state, 'unterminated quoted text')
+					text += template.slice(state.index + 1, end).replaceAll("''", "'")
+					state.index = end + 1
+					continue
+				}
+			}
+
+			text += char
+			state.index++
+		}
+
+		if (text) nodes.push(text)
+		return nodes
+	}
+
+	#parseArgument(state, inPlural) {
+		const { template } = state
+		const start = state.index
+		state.index++
+
+		const name = this.#readWord(state)
+		if (!name) this.#syntaxError(state, 'expected a placeholder name after \'{\'')
+
+		this.#skipSpaces(state)
+		if (template[state.index] === '}') {
+			state.index++
+			return { type: 'argument', name }
+		}
+		if (template[state.index] !== ',') this.#syntaxError(state, `expected ',' or '}' after "${name}"`)
+		state.index++
+
+		const format = this.#readWord(state)
+		this.#skipSpaces(state)
+
+		if (format === 'plural' || format === 'selectordinal' || format === 'select') {
+			if (template[state.index] !== ',') this.#syntaxError(state, `expected ',' after "${format}"`)
+			state.index++
+			return this.#parseOptions(state, name, format, start, inPlural)
+		}
+
+		if (!['number', 'date', 'time', 'relative'].includes(format)) {
+			this.#syntaxError(state, `unknown format "${format}" for "${name}"`)
+		}
+
+		let style = null
+		if (template[state.index] === ',') {
+			state.index++
+			this.#skipSpaces(state)
+			const end = template.indexOf('}', state.index)
+			if (end === -1) this.#syntaxError(state, `unclosed placeholder "${name}" started at position ${start}`)
+			style = template.slice(state.index, end).trim()
+			state.index = end
+		}
+		if (format === 'relative' && !style) this.#syntaxError(state, `missing unit for relative placeholder "${name}"`)
+		if (template[state.index] !== '}') this.#syntaxError(state, `unclosed placeholder "${name}" started at position ${start}`)
+		state.index++
+
+		return { type: 'argument', name, format, style }
+	}
+
+	#parseOptions(state, name, format, start, inPlural) {
+		const { template } = state
+		// No prototype, so values like "constructor" fall back to "other"
+		const node = { type: format === 'select' ? 'select' : 'plural', name, ordinal: format === 'selectordinal', offset: 0, options: Object.create(null) }
+
+		while (true) {
+			this.#skipSpaces(state)
+			if (state.index >= template.length) this.#syntaxError(state, `unclosed ${format} "${name}" started at position ${start}`)
+			if (template[state.index] === '}') break
+
+			const key = this.#readWord(state, true)
+			if (!key) this.#syntaxError(state, `expected an option name in ${format} "${name}"`)
+
+			if (key.startsWith('offset:') && node.type === 'plural') {
+				node.offset = Number(key.slice(7))
+				if (Number.isNaN(node.offset)) this.#syntaxError(state, `invalid offset in ${format} "${name}"`)
+				continue
+			}
+
+			this.#skipSpaces(state)
+			if (template[state.index] !== '{') this.#syntaxError(state, `expected '{' after option "${key}" in ${format} "${name}"`)
+			state.index++
+			node.options[key] = this.#parseNodes(state, true, inPlural || node.type === 'plural')
+			if (template[state.index] !== '}') this.#syntaxError(state, `unclosed option "${key}" in ${format} "${name}"`)
+			state.index++
+		}
+
+		state.index++
+		if (!node.options.other) this.#syntaxError(state, `${format} "${name}" requires an "other" option`)
+		return node
+	}
+
+	#readWord(state, isOption = false) {
+		this.#skipSpaces(state)
+		const match = (isOption ? /[^\s{}]+/y : /[\p{L}\p{N}_$.-]+/uy)
+		match.lastIndex = state.index
+		const word = match.exec(state.template)?.[0] ?? ''
+		state.index += word.length
+		return word
+	}
+
+	#skipSpaces(state) {
+		while (/\s/.test(state.template[state.index] ?? '')) state.index++
+	}
+
+	#syntaxError(state, message) {
+		throw new SyntaxError(`Malformed template at position ${state.index}: ${message} in "${state.template}"`)
+	}
+
+	#render(nodes, values, pound) {
+		return nodes.flatMap(node => {
+			if (typeof node === 'string') return this.#tokenize(node)
+			if (node.type === 'pound') return { type: 'value', value: pound === null ? '#' : this.#formatNumber(pound) }
+
+			const value = values[node.name]
+
+			if (node.type === 'select') {
+				const options = node.options[String(value)] ?? node.options.other
+				return this.#render(options, values, pound)
+			}
+
+			if (node.type === 'plural') {
+				if (typeof value !== 'number') throw new TypeError(`Plural placeholder "${node.name}" must be a number, got ${value}`)
+				const exact = node.options[`=${value}`]
+				if (exact) return this.#render(exact, values, value - node.offset)
+				const category = new Intl.PluralRules(this.#lang, { type: node.ordinal ? 'ordinal' : 'cardinal' }).select(value - node.offset)
+				return this.#render(node.options[category] ?? node.options.other, values, value - node.offset)
+			}
+
+			return { type: 'value', value: this.#formatValue(node, value) }
 		})
 	}
 
-	getProcessedTranslation(str, ...placeholders) {
-		let result = this.extractTranslationFromString(this.getTranslation(str))
-		return this.applyPlaceholdersToTemplate(result, ...placeholders)
+	#formatValue(node, value) {
+		if (value === undefined || value === null) return `{${node.name}}`
+
+		switch (node.format) {
+			case 'number': return this.#formatNumber(value, node.style)
+			case 'date': return new Intl.DateTimeFormat(this.#lang, { dateStyle: node.style ?? 'medium' }).format(new Date(value))
+			case 'time': return new Intl.DateTimeFormat(this.#lang, { timeStyle: node.style ?? 'short' }).format(new Date(value))
+			case 'relative': return new Intl.RelativeTimeFormat(this.#lang, { numeric: 'auto' }).format(value, node.style)
+			default: return String(value)
+		}
+	}
+
+	#formatNumber(value, style = null) {
+		const options = {}
+		if (style === 'integer') options.maximumFractionDigits = 0
+		else if (style === 'percent') options.style = 'percent'
+		else if (style === 'compact') options.notation = 'compact'
+		else if (style?.startsWith('currency/')) Object.assign(options, { style: 'currency', currency: style.slice(9) })
+		else if (style) throw new SyntaxError(`Unknown number style "${style}"`)
+		return new Intl.NumberFormat(this.#lang, options).format(value)
 	}
 }